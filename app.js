@@ -1,5 +1,20 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js';
+import { MeshSurfaceSampler } from 'three/examples/jsm/math/MeshSurfaceSampler.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { XYZLoader } from 'three/examples/jsm/loaders/XYZLoader.js';
+import { Muxer, ArrayBufferTarget } from 'webm-muxer';
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { AfterimagePass } from 'three/examples/jsm/postprocessing/AfterimagePass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { RGBShiftShader } from 'three/examples/jsm/shaders/RGBShiftShader.js';
 
 // ============================================
 // PROTOCOL CHECK (Security Requirement)
@@ -24,11 +39,21 @@ if (isLocalFile) {
 // ============================================
 const CONFIG = {
     particleCount: 10000, // Extreme speed boost
+    minParticleCount: 5000, // Lower bound for the particle count slider
+    maxParticleCount: 50000, // Upper bound for the particle count slider
+    maxPhysicsParticleCount: 150000, // GPU physics handles far more particles
+    physicsAttraction: 6.0,  // Spring pull towards the pattern target
+    physicsDamping: 0.92,    // Velocity kept per 60fps frame
+    physicsHandForce: 40.0,  // Open hand pushes, fist pulls
+    fingertipForces: true,
+    fingertipRadius: 1.8,    // World units each fingertip affects
+    fingertipDepthScale: 20.0, // MediaPipe z (relative depth) to world units
+    fingertipPinchThreshold: 0.35, // Below this, the index tip grabs instead of pokes
     particleSize: 1.5,
     baseColor: new THREE.Color(0x00d4ff),
     morphSpeed: 0.5,     // Snappy morphs
     rotationSpeed: 0.005,
-    gestureSmoothing: 0.15, // Smooth but responsive
+    gestureSmoothing: 0.15, // Smooth but responsive (higher follows the hand faster)
     dispersionMultiplier: 8.0,
     turboMode: true
 };
@@ -36,43 +61,301 @@ const CONFIG = {
 // ============================================
 // HELPERS
 // ============================================
-const getTextPositions = (text, count) => {
+const TEXT_FONT_SIZE = 100; // Reference size for measuring; the raster is rescaled to the particle count
+const TEXT_MAX_WIDTH = 20;   // World units
+const TEXT_MAX_HEIGHT = 10;
+const TEXT_MAX_CANVAS = 4096;
+
+const TEXT_DEFAULTS = {
+    fontFamily: 'Inter, sans-serif',
+    fontWeight: 'bold',
+    depth: 0.5
+};
+
+// Rasterize (multiline) text and return the filled pixel coordinates, in canvas pixels
+const rasterizeText = (lines, font, scale) => {
     const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    canvas.width = 1000;
-    canvas.height = 300;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    ctx.font = font(TEXT_FONT_SIZE);
+    const lineHeight = TEXT_FONT_SIZE * 1.15;
+    const padding = TEXT_FONT_SIZE * 0.2;
+    const textWidth = Math.max(1, ...lines.map(line => ctx.measureText(line).width));
+
+    // Auto-fit: the canvas is sized to the text bounds rather than a fixed box
+    canvas.width = Math.ceil((textWidth + padding * 2) * scale);
+    canvas.height = Math.ceil((lines.length * lineHeight + padding * 2) * scale);
 
+    ctx.scale(scale, scale);
     ctx.fillStyle = 'white';
-    ctx.font = 'bold 200px Inter, sans-serif';
+    ctx.font = font(TEXT_FONT_SIZE);
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+    lines.forEach((line, i) => {
+        ctx.fillText(line, canvas.width / scale / 2, padding + lineHeight * (i + 0.5));
+    });
 
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const pixels = imageData.data;
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
     const points = [];
-
-    for (let y = 0; y < canvas.height; y += 4) {
-        for (let x = 0; x < canvas.width; x += 4) {
-            const alpha = pixels[(y * canvas.width + x) * 4 + 3];
-            if (alpha > 128) {
-                points.push({
-                    x: (x / canvas.width - 0.5) * 20,
-                    y: (0.5 - y / canvas.height) * 6
-                });
-            }
+    for (let y = 0; y < canvas.height; y++) {
+        for (let x = 0; x < canvas.width; x++) {
+            if (pixels[(y * canvas.width + x) * 4 + 3] > 128) points.push(x, y);
         }
     }
 
+    return { points, width: canvas.width, height: canvas.height };
+};
+
+const getTextPositions = (text, count, options = {}) => {
+    const { fontFamily, fontWeight, depth } = { ...TEXT_DEFAULTS, ...options };
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) lines.push(' ');
+    const font = size => `${fontWeight} ${size}px ${fontFamily}`;
+
+    // Measure coverage at a low resolution, then rasterize at the density that gives
+    // roughly one filled pixel per particle
+    const preview = rasterizeText(lines, font, 0.25);
+    const coverage = preview.points.length / 2 / (preview.width * preview.height) || 0.1;
+    const area = preview.width * preview.height / (0.25 * 0.25);
+    const maxScale = TEXT_MAX_CANVAS / (Math.max(preview.width, preview.height) / 0.25);
+    const scale = Math.max(0.05, Math.min(maxScale, Math.sqrt(count * 1.2 / (coverage * area))));
+    const { points, width, height } = rasterizeText(lines, font, scale);
+
+    const pointCount = points.length / 2;
     const result = [];
+    if (pointCount === 0) {
+        for (let i = 0; i < count; i++) result.push(new THREE.Vector3());
+        return result;
+    }
+
+    // Partial Fisher-Yates: every particle gets its own pixel while there are enough of them
+    const order = new Uint32Array(pointCount);
+    for (let i = 0; i < pointCount; i++) order[i] = i;
+    const distinct = Math.min(count, pointCount);
+    for (let i = 0; i < distinct; i++) {
+        const j = i + Math.floor(Math.random() * (pointCount - i));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    const worldScale = Math.min(TEXT_MAX_WIDTH / width, TEXT_MAX_HEIGHT / height);
     for (let i = 0; i < count; i++) {
-        const p = points[i % points.length];
-        result.push(new THREE.Vector3(p.x, p.y, (Math.random() - 0.5) * 0.5));
+        const p = order[i % distinct];
+        // Sub-pixel jitter keeps positions distinct even when pixels are shared
+        const x = points[p * 2] + Math.random();
+        const y = points[p * 2 + 1] + Math.random();
+        result.push(new THREE.Vector3(
+            (x - width / 2) * worldScale,
+            (height / 2 - y) * worldScale,
+            (Math.random() - 0.5) * depth
+        ));
     }
     return result;
 };
 
-const TEXT_MAGIC_POSITIONS = getTextPositions('MAGIC', 20000);
+// Generated on demand at the current particle count
+let textMagicPositions = [];
+
+// ============================================
+// IMAGE IMPORT
+// ============================================
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'gif'];
+const IMAGE_RESOLUTION = 256; // Longest side the image is sampled at
+const IMAGE_SIZE = 12;        // Longest side in world units
+const IMAGE_DEPTH = 3;        // Depth range when brightness drives z
+
+// Rasterize an image, video frame or canvas and build a sampling distribution over its pixels
+const prepareImage = (source, { mirror = false } = {}) => {
+    const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+    const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+    if (!sourceWidth || !sourceHeight) throw new Error('Image has no pixels');
+
+    const fit = IMAGE_RESOLUTION / Math.max(sourceWidth, sourceHeight);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(sourceWidth * fit));
+    canvas.height = Math.max(1, Math.round(sourceHeight * fit));
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    if (mirror) {
+        ctx.translate(canvas.width, 0);
+        ctx.scale(-1, 1);
+    }
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+
+    const pixelCount = canvas.width * canvas.height;
+    const luminance = new Float32Array(pixelCount);
+    let hasAlpha = false;
+    for (let i = 0; i < pixelCount; i++) {
+        luminance[i] = (0.2126 * pixels[i * 4] + 0.7152 * pixels[i * 4 + 1] + 0.0722 * pixels[i * 4 + 2]) / 255;
+        if (pixels[i * 4 + 3] < 250) hasAlpha = true;
+    }
+
+    // Transparent images are sampled by alpha, opaque ones by brightness (skipping near-black)
+    const distribution = new Float32Array(pixelCount);
+    let total = 0;
+    for (let i = 0; i < pixelCount; i++) {
+        const weight = hasAlpha
+            ? (pixels[i * 4 + 3] > 128 ? pixels[i * 4 + 3] / 255 : 0)
+            : (luminance[i] > 0.05 ? luminance[i] : 0);
+        total += weight;
+        distribution[i] = total;
+    }
+
+    return { width: canvas.width, height: canvas.height, pixels, luminance, distribution, total };
+};
+
+const getImagePositions = (image, count, { depth = false } = {}) => {
+    const { width, height, pixels, luminance, distribution, total } = image;
+    const scale = IMAGE_SIZE / Math.max(width, height);
+    const positions = [];
+    const colors = [];
+
+    for (let i = 0; i < count; i++) {
+        // Binary search the cumulative weights; a blank image falls back to uniform sampling
+        let index;
+        if (total > 0) {
+            const r = Math.random() * total;
+            let lo = 0, hi = distribution.length - 1;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (distribution[mid] < r) lo = mid + 1;
+                else hi = mid;
+            }
+            index = lo;
+        } else {
+            index = Math.floor(Math.random() * width * height);
+        }
+
+        // Jitter within the pixel so particles sharing one don't stack
+        const x = index % width + Math.random();
+        const y = Math.floor(index / width) + Math.random();
+        const z = depth
+            ? (luminance[index] - 0.5) * IMAGE_DEPTH
+            : (Math.random() - 0.5) * 0.3;
+
+        positions.push(new THREE.Vector3((x - width / 2) * scale, (height / 2 - y) * scale, z));
+        colors.push(new THREE.Color().setRGB(
+            pixels[index * 4] / 255,
+            pixels[index * 4 + 1] / 255,
+            pixels[index * 4 + 2] / 255,
+            THREE.SRGBColorSpace
+        ));
+    }
+
+    return { positions, colors };
+};
+
+// ============================================
+// MODEL IMPORT (OBJ / PLY / GLB / XYZ)
+// ============================================
+const MODEL_EXTENSIONS = ['obj', 'ply', 'glb', 'xyz'];
+const MODEL_SIZE = 10; // Longest side after import, about the size of the built-in patterns
+
+const loadModelFile = async (file) => {
+    const extension = file.name.split('.').pop().toLowerCase();
+
+    switch (extension) {
+        case 'obj':
+            return new OBJLoader().parse(await file.text());
+        case 'ply': {
+            // PLY files without faces are point clouds
+            const geometry = new PLYLoader().parse(await file.arrayBuffer());
+            return geometry.index ? new THREE.Mesh(geometry) : new THREE.Points(geometry);
+        }
+        case 'xyz':
+            return new THREE.Points(new XYZLoader().parse(await file.text()));
+        case 'glb':
+            return (await new GLTFLoader().parseAsync(await file.arrayBuffer(), '')).scene;
+        default:
+            throw new Error(`Unsupported file type ".${extension}"`);
+    }
+};
+
+// Flatten a loaded object into one normalized geometry, ready for sampling
+const prepareModel = (object) => {
+    object.updateMatrixWorld(true);
+
+    const surface = { positions: [], colors: [] };
+    const points = { positions: [], colors: [] };
+    let hasColors = false;
+
+    object.traverse((child) => {
+        if (!child.isMesh && !child.isPoints) return;
+
+        let geometry = child.geometry.clone().applyMatrix4(child.matrixWorld);
+        if (child.isMesh && geometry.index) geometry = geometry.toNonIndexed();
+
+        const position = geometry.getAttribute('position');
+        const color = geometry.getAttribute('color');
+        const material = Array.isArray(child.material) ? child.material[0] : child.material;
+        const fallback = material && material.color ? material.color : CONFIG.baseColor;
+        if (color) hasColors = true;
+
+        const target = child.isMesh ? surface : points;
+        for (let i = 0; i < position.count; i++) {
+            target.positions.push(position.getX(i), position.getY(i), position.getZ(i));
+            if (color) {
+                target.colors.push(color.getX(i), color.getY(i), color.getZ(i));
+            } else {
+                target.colors.push(fallback.r, fallback.g, fallback.b);
+            }
+        }
+        geometry.dispose();
+    });
+
+    // Prefer surfaces; only fall back to raw vertices for pure point clouds
+    const useSurface = surface.positions.length >= 9;
+    const source = useSurface ? surface : points;
+    if (source.positions.length === 0) throw new Error('No geometry found in file');
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(source.positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(source.colors, 3));
+
+    geometry.center();
+    geometry.computeBoundingBox();
+    const size = geometry.boundingBox.getSize(new THREE.Vector3());
+    const scale = MODEL_SIZE / Math.max(size.x, size.y, size.z, 1e-6);
+    geometry.scale(scale, scale, scale);
+
+    return {
+        geometry,
+        sampler: useSurface ? new MeshSurfaceSampler(new THREE.Mesh(geometry)).build() : null,
+        hasColors
+    };
+};
+
+// Area-weighted surface samples for meshes, evenly strided vertices for point clouds
+const getModelPositions = (model, count) => {
+    const positions = [];
+    const colors = model.hasColors ? [] : null;
+
+    if (model.sampler) {
+        const position = new THREE.Vector3();
+        const color = new THREE.Color();
+        for (let i = 0; i < count; i++) {
+            model.sampler.sample(position, undefined, color);
+            positions.push(position.clone());
+            if (colors) colors.push(color.clone());
+        }
+    } else {
+        const position = model.geometry.getAttribute('position');
+        const color = model.geometry.getAttribute('color');
+        for (let i = 0; i < count; i++) {
+            const j = Math.floor(i * position.count / count);
+            // Repeated vertices get a little jitter so they don't stack
+            const jitter = count > position.count ? 0.05 : 0;
+            positions.push(new THREE.Vector3(
+                position.getX(j) + (Math.random() - 0.5) * jitter,
+                position.getY(j) + (Math.random() - 0.5) * jitter,
+                position.getZ(j) + (Math.random() - 0.5) * jitter
+            ));
+            if (colors) colors.push(new THREE.Color(color.getX(j), color.getY(j), color.getZ(j)));
+        }
+    }
+
+    return { positions, colors };
+};
 
 // ============================================
 // PATTERN DEFINITIONS (25+ patterns)
@@ -499,18 +782,330 @@ const PATTERNS = {
     },
 
     textMagic: (i, total) => {
-        return TEXT_MAGIC_POSITIONS[i % TEXT_MAGIC_POSITIONS.length];
+        if (textMagicPositions.length !== total) textMagicPositions = getTextPositions('MAGIC', total);
+        return textMagicPositions[i];
+    }
+};
+
+// ============================================
+// PALETTES
+// ============================================
+// How particles are colored. The first color is always the picker / swatch color;
+// gradients add one or two more stops along an axis or outwards from the center.
+const PALETTE_MODES = {
+    solid: { label: 'Solid', followsShape: false },
+    gradient: { label: 'Gradient', followsShape: true },
+    natural: { label: 'Natural', followsShape: true },
+    rainbow: { label: 'Rainbow', followsShape: false },
+    cycle: { label: 'Hue cycle', followsShape: false }
+};
+const GRADIENT_AXES = { y: 'Vertical', x: 'Horizontal', z: 'Depth', radius: 'Radial' };
+const HUE_CYCLE_SPEED = 0.05; // Turns per second
+const DEFAULT_PALETTE = { mode: 'solid', colors: ['#ff006e', '#8338ec'], stops: 2, axis: 'y' };
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const sanitizePalette = (data) => {
+    if (!data || typeof data !== 'object') return { ...DEFAULT_PALETTE };
+    const colors = Array.isArray(data.colors) ? data.colors : [];
+    return {
+        mode: PALETTE_MODES[data.mode] ? data.mode : DEFAULT_PALETTE.mode,
+        colors: DEFAULT_PALETTE.colors.map((fallback, i) => HEX_COLOR.test(colors[i]) ? colors[i] : fallback),
+        stops: data.stops === 3 ? 3 : 2,
+        axis: GRADIENT_AXES[data.axis] ? data.axis : DEFAULT_PALETTE.axis
+    };
+};
+
+// Sets target to the color t (0..1) of the way along evenly spaced stops
+const gradientAt = (target, stops, t) => {
+    const scaled = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+    const index = Math.min(Math.floor(scaled), stops.length - 2);
+    return target.lerpColors(stops[index], stops[index + 1], scaled - index);
+};
+
+// Stable per-particle noise, so natural colors don't reshuffle on every pattern change
+const hash01 = (i) => {
+    const x = Math.sin(i * 12.9898) * 43758.5453;
+    return x - Math.floor(x);
+};
+
+const naturalColors = (...hexes) => hexes.map(hex => new THREE.Color(hex));
+const GALAXY_COLORS = naturalColors('#fff1c9', '#ffb86b', '#7b8cff', '#b45cff');
+const SATURN_COLORS = naturalColors('#c98f4e', '#f0cf92');
+const SATURN_RING_COLORS = naturalColors('#a89a7a', '#efe4c4');
+const STAR_COLORS = naturalColors('#9bb0ff', '#cad7ff', '#fff4ea', '#ffd2a1', '#ffb56c');
+const FIRE_COLORS = naturalColors('#ffffff', '#ffd23f', '#ff6b1a', '#b3122e');
+const WATER_COLORS = naturalColors('#0b3d91', '#1f8fff', '#bff4ff');
+const ICE_COLORS = naturalColors('#4aa8ff', '#e6f8ff');
+const TORNADO_COLORS = naturalColors('#5a5560', '#c9c4cf');
+const HEART_COLORS = naturalColors('#ff2e63', '#ff8fab');
+const ORBIT_COLORS = naturalColors('#4de8ff', '#ff5fa2', '#8dff6a', '#b08cff');
+
+// "Natural" palette per built-in pattern: (color, i, total, position) sets particle i's color.
+// Patterns without one get a radial gradient of their base color.
+const NATURAL_PATTERN_COLORS = {
+    galaxy: (color, i, total, p) => gradientAt(color, GALAXY_COLORS, Math.hypot(p.x, p.z) / 7),
+    planetSaturn: (color, i, total, p) => {
+        if (i < total * 0.4) {
+            // Banded planet
+            return gradientAt(color, SATURN_COLORS, 0.5 + Math.sin(p.y * 4) * 0.5);
+        }
+        return gradientAt(color, SATURN_RING_COLORS, Math.hypot(p.x, p.z) - 4.5);
+    },
+    atom: (color, i, total) => color.set(i < total * 0.1 ? '#ff5533' : '#4de8ff'),
+    orbit: (color, i, total) => i < total * 0.15 ? color.set('#ffd25a') : color.copy(ORBIT_COLORS[i % 4]),
+    dna: (color, i) => color.set(i % 2 ? '#4fc3ff' : '#ff4f81'),
+    universe: (color, i) => color.copy(STAR_COLORS[Math.floor(hash01(i) * STAR_COLORS.length)]),
+    explosion: (color, i, total, p) => gradientAt(color, FIRE_COLORS, p.length() / 8),
+    lightning: (color, i) => color.set(hash01(i) < 0.3 ? '#b69cff' : '#eef4ff'),
+    wave: (color, i, total, p) => gradientAt(color, WATER_COLORS, 0.5 + p.y / 2),
+    ripple: (color, i, total, p) => gradientAt(color, WATER_COLORS, 0.5 + p.y / 2),
+    snowflake: (color, i, total, p) => gradientAt(color, ICE_COLORS, 1 - p.length() / 6),
+    cloud: (color, i) => color.setScalar(0.75 + hash01(i) * 0.25),
+    tornado: (color, i, total, p) => gradientAt(color, TORNADO_COLORS, 0.5 + p.y / 10),
+    heart: (color, i, total, p) => gradientAt(color, HEART_COLORS, p.length() / 6),
+    emojiStorm: (color, i, total) => color.set(i < total * 0.7 ? '#ffd23f' : '#ff8a1f')
+};
+
+// ============================================
+// PATTERN REGISTRY
+// ============================================
+// Display order; also drives swipe order and the 1-9, 0 keyboard bindings
+const PATTERN_LIST = [];
+const PATTERN_INFO = {};
+const patternListeners = [];
+
+/**
+ * Register a particle pattern, or replace an existing one with the same name.
+ * The pattern button, keyboard binding and swipe order are built from the registry,
+ * so a pattern pack only needs to import and call this.
+ *
+ * @param {string} name - Unique id, used in presets and `ParticleSystem.setPattern()`
+ * @param {object} pattern
+ * @param {(i: number, total: number) => THREE.Vector3} pattern.generate - Position of particle `i` of `total`
+ * @param {string} [pattern.label] - Button text (defaults to `name`)
+ * @param {string} [pattern.icon] - Emoji or character shown on the button
+ * @param {string} [pattern.category] - Grid section the button is grouped under
+ * @param {(color: THREE.Color, i: number, total: number, position: THREE.Vector3) => void} [pattern.color] -
+ *   Colors particle `i` for the "Natural" palette
+ */
+export const registerPattern = (name, { generate, label = name, icon = '✦', category = 'Custom', color = null } = {}) => {
+    if (typeof generate !== 'function') {
+        throw new TypeError(`Pattern "${name}" needs a generate(i, total) function`);
     }
+
+    if (!PATTERN_INFO[name]) PATTERN_LIST.push(name);
+    PATTERNS[name] = generate;
+    PATTERN_INFO[name] = { label, icon, category, color };
+
+    patternListeners.forEach(listener => listener(name));
 };
 
-// Pattern list for UI
-const PATTERN_LIST = Object.keys(PATTERNS);
+// Built-in patterns
+[
+    ['sphere', 'Sphere', '○', 'Basic Shapes'],
+    ['cube', 'Cube', '◻', 'Basic Shapes'],
+    ['torus', 'Torus', '◎', 'Basic Shapes'],
+    ['cylinder', 'Cylinder', '▭', 'Basic Shapes'],
+    ['cone', 'Cone', '△', 'Basic Shapes'],
+    ['pyramid', 'Pyramid', '△', 'Basic Shapes'],
+    ['spiral', 'Spiral', '🌀', 'Complex Shapes'],
+    ['dna', 'DNA', '🧬', 'Complex Shapes'],
+    ['heart', 'Heart', '♥', 'Complex Shapes'],
+    ['star', 'Star', '★', 'Complex Shapes'],
+    ['diamond', 'Diamond', '◆', 'Complex Shapes'],
+    ['butterfly', 'Butterfly', '🦋', 'Complex Shapes'],
+    ['galaxy', 'Galaxy', '🌌', 'Nature'],
+    ['tornado', 'Tornado', '🌪', 'Nature'],
+    ['vortex', 'Vortex', '⟳', 'Nature'],
+    ['wave', 'Wave', '〰', 'Nature'],
+    ['ripple', 'Ripple', '◉', 'Nature'],
+    ['cloud', 'Cloud', '☁', 'Nature'],
+    ['trefoilKnot', 'Knot', '➿', 'Abstract'],
+    ['torusKnot', 'T-Knot', '☯', 'Abstract'],
+    ['infinity', 'Infinity', '∞', 'Abstract'],
+    ['shell', 'Shell', '🐚', 'Abstract'],
+    ['rose', 'Rose', '✿', 'Abstract'],
+    ['atom', 'Atom', '⚛', 'Science'],
+    ['orbit', 'Orbit', '◯', 'Science'],
+    ['brain', 'Brain', '🧠', 'Science'],
+    ['universe', 'Universe', '✨', 'Cosmic & Special'],
+    ['planetSaturn', 'Saturn', '🪐', 'Cosmic & Special'],
+    ['emojiStorm', 'Emoji', '😊', 'Cosmic & Special'],
+    ['textMagic', 'Magic', '🪄', 'Cosmic & Special'],
+    ['explosion', 'Explode', '💥', 'Effects'],
+    ['lightning', 'Lightning', '⚡', 'Effects'],
+    ['snowflake', 'Snowflake', '❄', 'Effects']
+].forEach(([name, label, icon, category]) => {
+    registerPattern(name, { generate: PATTERNS[name], label, icon, category, color: NATURAL_PATTERN_COLORS[name] });
+});
+
+// The built app is a single hashed bundle, so pattern packs can't import it. They use this
+// stable global instead, THREE included so their vectors match the app's copy.
+window.magicFingers = { registerPattern, THREE };
+
+// ============================================
+// HAND TRACKING
+// ============================================
+// MediaPipe's HandLandmarker runs in a worker (hand-worker.js). The wasm runtime is served
+// from the build itself (see vite.config.js) so tracking works offline; set
+// VITE_MEDIAPIPE_BASE_URL to load it from a mirror instead. The model is bundled by
+// `npm run fetch-model`, with Google's hosted copy as a fallback.
+const MEDIAPIPE_BASE_URL = import.meta.env.VITE_MEDIAPIPE_BASE_URL || `${import.meta.env.BASE_URL}mediapipe/`;
+const HAND_MODEL_URLS = [
+    `${import.meta.env.BASE_URL}models/hand_landmarker.task`,
+    'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task'
+];
+
+class HandTracker {
+    constructor(video, onResults) {
+        this.video = video;
+        this.onResults = onResults;
+        this.worker = null;
+        this.pending = null;
+        this.frameErrorLogged = false;
+    }
+
+    async start() {
+        this.worker = new Worker(new URL('./hand-worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = ({ data }) => this.handleMessage(data);
+        this.worker.onerror = (event) => this.handleMessage({ type: 'error', message: event.message });
+
+        const ready = new Promise((resolve, reject) => {
+            this.pending = { resolve, reject };
+        });
+        this.worker.postMessage({
+            type: 'init',
+            wasmBaseUrl: `${MEDIAPIPE_BASE_URL}wasm`,
+            modelUrls: HAND_MODEL_URLS,
+            options: {
+                numHands: 2,
+                minHandDetectionConfidence: 0.6,
+                minHandPresenceConfidence: 0.6,
+                minTrackingConfidence: 0.6
+            }
+        });
+
+        // Load the model and open the camera at the same time
+        try {
+            await Promise.all([ready, this.openCamera()]);
+        } catch (error) {
+            this.stop();
+            throw error;
+        }
+        this.requestFrame();
+    }
+
+    stop() {
+        // Stopping during start() makes start() fail instead of hanging
+        this.pending?.reject(new Error('Hand tracking stopped'));
+        this.pending = null;
+        this.worker?.terminate();
+        this.worker = null;
+        this.video.srcObject?.getTracks().forEach(track => track.stop());
+        this.video.srcObject = null;
+    }
+
+    // Low resolution (320x240) keeps inference fast; landmarks are normalized anyway
+    async openCamera() {
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: { width: 320, height: 240, facingMode: 'user' },
+            audio: false
+        });
+        if (!this.worker) {
+            // Stopped while the permission prompt was open
+            stream.getTracks().forEach(track => track.stop());
+            throw new Error('Hand tracking stopped');
+        }
+        this.video.srcObject = stream;
+        await this.video.play();
+    }
+
+    requestFrame() {
+        if (!this.worker) return; // Stopped
+        if (this.video.requestVideoFrameCallback) {
+            this.video.requestVideoFrameCallback(() => this.sendFrame());
+        } else {
+            requestAnimationFrame(() => this.sendFrame());
+        }
+    }
+
+    // Only one frame is in flight: the next is grabbed when the worker answers,
+    // so slow inference lowers the tracking rate instead of the render rate
+    async sendFrame() {
+        if (this.video.readyState < 2) {
+            this.requestFrame();
+            return;
+        }
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(this.video);
+        } catch (error) {
+            // E.g. a 0x0 video while the camera switches devices; try again next frame
+            this.frameFailed(error.message);
+            return;
+        }
+        if (!this.worker) {
+            bitmap.close();
+            return;
+        }
+        this.worker.postMessage({ type: 'frame', bitmap, timestamp: performance.now() }, [bitmap]);
+    }
+
+    // A failed frame shouldn't stop tracking, nor flood the console
+    frameFailed(message) {
+        if (!this.frameErrorLogged) {
+            console.warn('Hand tracking frame failed:', message);
+            this.frameErrorLogged = true;
+        }
+        this.requestFrame();
+    }
+
+    handleMessage(data) {
+        if (data.type === 'ready') {
+            this.pending.resolve(data);
+            this.pending = null;
+        } else if (data.type === 'results') {
+            this.onResults({ ...data.results, image: this.video });
+            this.requestFrame();
+        } else if (data.type === 'error') {
+            if (this.pending) {
+                this.pending.reject(new Error(data.message));
+                this.pending = null;
+            } else {
+                this.frameFailed(data.message);
+            }
+        }
+    }
+}
 
 // ============================================
 // GESTURE DETECTION
 // ============================================
+const FINGERTIP_LANDMARKS = [4, 8, 12, 16, 20];
+const MAX_FINGERTIPS = FINGERTIP_LANDMARKS.length * 2;
+
+// Per-user ranges from the calibration wizard. The defaults are the original hand-tuned
+// constants: fingers count as fully open at 2.2x their knuckle distance from the wrist.
+const DEFAULT_CALIBRATION = {
+    extension: { min: 1.2, max: 2.2 },
+    pinch: { min: 0, max: 1 },
+    jitter: 0 // Typical frame-to-frame wrist movement of a still hand
+};
+
+// A swipe is a quick, mostly straight move of an open hand. Everything is measured in
+// time rather than frames so it feels the same at any camera frame rate.
+const SWIPE_WINDOW_MS = 200;     // Movement is measured over this much recent history
+const SWIPE_MIN_DISTANCE = 0.08; // Fraction of the camera frame covered within the window
+const SWIPE_MIN_SPEED = 0.9;     // Camera frames per second
+const SWIPE_AXIS_RATIO = 1.5;    // The main axis must beat the other one by this much
+const SWIPE_OPEN_THRESHOLD = 0.6;
+const SWIPE_SETTLE_MS = 250;     // A hand that just appeared or opened must settle first
+const SWIPE_COOLDOWN_MS = 500;
+
 class GestureDetector {
-    constructor() {
+    constructor(calibration = DEFAULT_CALIBRATION) {
+        this.calibration = calibration;
         this.handOpenness = 0.5;
         this.targetOpenness = 0.5;
         this.handRotation = 0;
@@ -521,21 +1116,44 @@ class GestureDetector {
         this.targetPinch = 0;
         this.handPresent = false;
         this.swipeDirection = null;
-        this.lastWristX = 0.5;
-        this.gestureHistory = [];
+        this.swipeSpeed = 0;
+        // idle → settling → armed → (swipe) → cooling → armed; see updateSwipe
+        this.swipeState = { phase: 'idle', until: 0, history: [] };
         this.twoHandsPresent = false;
+        this.handsDistance = 0;
         this.targetHandsDistance = 0;
-        this.lastX = 0.5;
-        this.velocityX = 0;
-        this.swipeCooldown = 0;
+        this.hands = {
+            left: this.createHandState(),
+            right: this.createHandState()
+        };
+        // Raw landmarks of the hand driving single-hand controls, for custom gesture recognition
+        this.primaryHand = null;
+    }
+
+    createHandState() {
+        return {
+            present: false,
+            openness: 0.5,
+            rotation: 0,
+            pinch: 0,
+            position: { x: 0.5, y: 0.5 },
+            // Thumb, index, middle, ring and pinky tips
+            fingertips: FINGERTIP_LANDMARKS.map(() => ({ x: 0.5, y: 0.5, z: 0 }))
+        };
     }
 
-    processResults(results) {
+    // now: when the frame was captured; replays pass the recorded time so swipes don't
+    // depend on timer jitter
+    processResults(results, now = performance.now()) {
         if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
             this.handPresent = true;
             this.twoHandsPresent = results.multiHandLandmarks.length >= 2;
 
-            const landmarks = results.multiHandLandmarks[0];
+            const detected = this.splitHands(results);
+
+            // Right hand drives the single-hand controls when both are visible
+            const landmarks = detected.right || detected.left;
+            this.primaryHand = { landmarks, side: detected.right ? 'right' : 'left' };
 
             // Calculate hand openness
             this.targetOpenness = this.calculateOpenness(landmarks);
@@ -547,48 +1165,150 @@ class GestureDetector {
             // ONE-HAND PINCH & ZOOM
             this.targetPinch = this.calculatePinch(landmarks);
 
-            this.detectSwipe(wrist.x);
+            // TWO-HAND ZOOM: distance between palm centres
+            if (this.twoHandsPresent) {
+                const a = detected.left[9];
+                const b = detected.right[9];
+                this.targetHandsDistance = Math.hypot(a.x - b.x, a.y - b.y);
+            }
+
+            this.updateHands(detected);
+            this.updateSwipe(wrist, this.targetOpenness, now);
         } else {
             this.handPresent = false;
+            this.twoHandsPresent = false;
+            this.targetOpenness = 0.5;
+            this.primaryHand = null;
+            this.updateHands({});
+            this.updateSwipe(null);
+        }
+
+        this.smooth();
+    }
+
+    // Entry point for non-camera input sources: a synthesized single hand
+    // ({ present, openness, rotation, pinch, position, swipe }) goes through the same smoothing
+    processInput(input) {
+        this.handPresent = !!input.present;
+        this.twoHandsPresent = false;
+        this.primaryHand = null;
+        this.updateHands({});
+
+        if (input.present) {
+            this.targetOpenness = input.openness;
+            this.targetRotation = input.rotation;
+            this.targetPosition = { x: input.position.x, y: input.position.y };
+            this.targetPinch = input.pinch;
+        } else {
             this.targetOpenness = 0.5;
-            this.swipeDirection = null;
         }
 
+        // Synthetic sources decide swipes themselves
+        if (input.swipe) {
+            this.swipeDirection = input.swipe;
+            this.swipeSpeed = input.swipeSpeed ?? SWIPE_MIN_SPEED;
+        }
+
+        this.smooth();
+    }
+
+    smooth() {
         // ADAPTIVE SMOOTHING
         const movementSpeed = Math.abs(this.targetOpenness - this.handOpenness) +
             Math.abs(this.targetPosition.x - this.handPosition.x);
-        const dynamicSmoothing = movementSpeed > 0.05 ? 0.3 : 0.1;
-
-        // Velocity tracking for swipe
-        const currentX = this.targetPosition.x;
-        this.velocityX = (currentX - this.lastX) * 10.0; // Scale for easier thresholding
-        this.lastX = currentX;
-
-        // Detect swipe based on velocity
-        this.detectSwipe();
+        // Fast moves follow at twice CONFIG.gestureSmoothing, slow ones at two thirds of it
+        // (the threshold stays clear of this user's calibrated tracking noise)
+        const dynamicSmoothing = movementSpeed > Math.max(0.05, this.calibration.jitter * 3)
+            ? Math.min(1, CONFIG.gestureSmoothing * 2)
+            : CONFIG.gestureSmoothing * (2 / 3);
 
         this.handOpenness += (this.targetOpenness - this.handOpenness) * dynamicSmoothing;
         this.handRotation += (this.targetRotation - this.handRotation) * dynamicSmoothing;
         this.handPosition.x += (this.targetPosition.x - this.handPosition.x) * dynamicSmoothing;
         this.handPosition.y += (this.targetPosition.y - this.handPosition.y) * dynamicSmoothing;
         this.pinchStrength += (this.targetPinch - this.pinchStrength) * dynamicSmoothing;
+
+        if (this.twoHandsPresent) {
+            // Snap on the first two-hand frame so zoom doesn't sweep in from a stale distance
+            if (this.handsDistance === 0) this.handsDistance = this.targetHandsDistance;
+            this.handsDistance += (this.targetHandsDistance - this.handsDistance) * dynamicSmoothing;
+        } else {
+            this.handsDistance = 0;
+        }
     }
 
-    calculateOpenness(landmarks) {
-        // High-fidelity smooth mapping
+    splitHands(results) {
+        const detected = {};
+        const handedness = results.multiHandedness || [];
+
+        results.multiHandLandmarks.slice(0, 2).forEach((landmarks, i) => {
+            // MediaPipe labels assume a mirrored (selfie) image; our feed isn't mirrored, so swap
+            const label = handedness[i] && handedness[i].label;
+            let side = label === 'Left' ? 'right' : label === 'Right' ? 'left' : null;
+
+            // Fall back to screen position when handedness is missing or both hands got the same label
+            if (!side || detected[side]) {
+                side = detected.right ? 'left' : detected.left ? 'right' : (landmarks[0].x < 0.5 ? 'right' : 'left');
+            }
+            detected[side] = landmarks;
+        });
+
+        return detected;
+    }
+
+    updateHands(detected) {
+        for (const side of ['left', 'right']) {
+            const hand = this.hands[side];
+            const landmarks = detected[side];
+            const wasPresent = hand.present;
+            hand.present = !!landmarks;
+            if (!landmarks) continue;
+
+            // Fingertips need to feel direct, so they follow faster and snap in when the hand appears
+            const tipSmoothing = wasPresent ? 0.5 : 1.0;
+            FINGERTIP_LANDMARKS.forEach((index, i) => {
+                const tip = hand.fingertips[i];
+                tip.x += (landmarks[index].x - tip.x) * tipSmoothing;
+                tip.y += (landmarks[index].y - tip.y) * tipSmoothing;
+                tip.z += (landmarks[index].z - tip.z) * tipSmoothing;
+            });
+
+            const smoothing = Math.min(1, CONFIG.gestureSmoothing * 2);
+            hand.openness += (this.calculateOpenness(landmarks) - hand.openness) * smoothing;
+            hand.rotation += (this.calculateRotation(landmarks) - hand.rotation) * smoothing;
+            hand.pinch += (this.calculatePinch(landmarks) - hand.pinch) * smoothing;
+            hand.position.x += (landmarks[0].x - hand.position.x) * smoothing;
+            hand.position.y += (landmarks[0].y - hand.position.y) * smoothing;
+        }
+    }
+
+    // Per-finger ratio of fingertip to knuckle distance from the wrist: ~1 curled, ~2+ extended
+    fingerExtensions(landmarks) {
         const tips = [8, 12, 16, 20];
         const bases = [5, 9, 13, 17];
         const wrist = landmarks[0];
-        let score = 0;
 
-        for (let i = 0; i < tips.length; i++) {
-            const tipDist = Math.hypot(landmarks[tips[i]].x - wrist.x, landmarks[tips[i]].y - wrist.y);
+        return tips.map((tip, i) => {
+            const tipDist = Math.hypot(landmarks[tip].x - wrist.x, landmarks[tip].y - wrist.y);
             const baseDist = Math.hypot(landmarks[bases[i]].x - wrist.x, landmarks[bases[i]].y - wrist.y);
-            // Ratio of tip distance to base distance defines extension
-            score += Math.min(1.0, (tipDist / (baseDist + 0.001) - 1.2) / 1.0);
-        }
+            return tipDist / (baseDist + 0.001);
+        });
+    }
 
-        return Math.max(0, Math.min(1, score / 4));
+    // Mean finger extension: ~1 for a fist, ~2+ when open
+    measureExtension(landmarks) {
+        const extensions = this.fingerExtensions(landmarks);
+        return extensions.reduce((sum, value) => sum + value, 0) / extensions.length;
+    }
+
+    // Normalized against this user's calibrated fist (0) and open hand (1). Each finger is
+    // capped at fully open before averaging, so one overstretched finger can't make up
+    // for a curled one.
+    calculateOpenness(landmarks) {
+        const { min, max } = this.calibration.extension;
+        const extensions = this.fingerExtensions(landmarks);
+        const sum = extensions.reduce((total, value) => total + Math.min(1, (value - min) / (max - min)), 0);
+        return Math.max(0, Math.min(1, sum / extensions.length));
     }
 
     calculateRotation(landmarks) {
@@ -601,7 +1321,7 @@ class GestureDetector {
         return angle;
     }
 
-    calculatePinch(landmarks) {
+    measurePinch(landmarks) {
         const thumb = landmarks[4];
         const indexTip = landmarks[8];
         const indexBase = landmarks[5];
@@ -609,28 +1329,64 @@ class GestureDetector {
         // Normalize pinch distance by index finger length (makes it distance-invariant)
         const fingerLength = Math.hypot(indexTip.x - indexBase.x, indexTip.y - indexBase.y);
         const pinchDist = Math.hypot(thumb.x - indexTip.x, thumb.y - indexTip.y);
+        return pinchDist / (fingerLength + 0.01);
+    }
 
-        // Map to 0-1 (0 = tight pinch, 1 = wide open)
-        return Math.min(2.0, pinchDist / (fingerLength + 0.01));
+    // 0 = this user's tight pinch, 1 = their open hand, up to 2 for an extra-wide spread
+    calculatePinch(landmarks) {
+        const { min, max } = this.calibration.pinch;
+        return Math.max(0, Math.min(2.0, (this.measurePinch(landmarks) - min) / (max - min)));
     }
 
-    detectSwipe() {
-        if (this.swipeCooldown > 0) {
-            this.swipeCooldown--;
-            this.swipeDirection = null;
+    // Swipe state machine. Only an open hand that has been in view for SWIPE_SETTLE_MS is
+    // armed, which rejects the jump when a hand re-enters the frame; after a swipe the
+    // history is dropped and detection pauses for SWIPE_COOLDOWN_MS.
+    updateSwipe(wrist, openness, now) {
+        const state = this.swipeState;
+
+        if (!wrist || openness < SWIPE_OPEN_THRESHOLD) {
+            state.phase = 'idle';
+            state.history = [];
             return;
         }
-
-        const velocityThreshold = 0.3; // High velocity for "flick"
-        if (this.velocityX > velocityThreshold) {
-            this.swipeDirection = 'left'; // Normalized swipe direction
-            this.swipeCooldown = 15; // Wait ~0.5s before next swipe
-        } else if (this.velocityX < -velocityThreshold) {
-            this.swipeDirection = 'right';
-            this.swipeCooldown = 15;
-        } else {
-            this.swipeDirection = null;
+        if (state.phase === 'idle') {
+            state.phase = 'settling';
+            state.until = now + SWIPE_SETTLE_MS;
+        }
+        if (state.phase !== 'armed') {
+            if (now < state.until) return;
+            state.phase = 'armed';
+            state.history = [];
         }
+
+        state.history.push({ x: wrist.x, y: wrist.y, t: now });
+        while (now - state.history[0].t > SWIPE_WINDOW_MS) state.history.shift();
+
+        const first = state.history[0];
+        const seconds = (now - first.t) / 1000;
+        if (seconds === 0) return;
+
+        // In screen terms: the camera image isn't mirrored, and its y runs downwards
+        const dx = first.x - wrist.x;
+        const dy = first.y - wrist.y;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const crossDistance = Math.min(Math.abs(dx), Math.abs(dy));
+        if (distance < SWIPE_MIN_DISTANCE || distance / seconds < SWIPE_MIN_SPEED) return;
+        if (distance < crossDistance * SWIPE_AXIS_RATIO) return;
+
+        this.swipeDirection = Math.abs(dx) > Math.abs(dy)
+            ? (dx > 0 ? 'right' : 'left')
+            : (dy > 0 ? 'up' : 'down');
+        this.swipeSpeed = distance / seconds;
+        state.phase = 'cooling';
+        state.until = now + SWIPE_COOLDOWN_MS;
+    }
+
+    // Swipes are events: each one is handed out once
+    consumeSwipe() {
+        const direction = this.swipeDirection;
+        this.swipeDirection = null;
+        return direction;
     }
 
     getGestureState() {
@@ -642,55 +1398,247 @@ class GestureDetector {
             present: this.handPresent,
             swipe: this.swipeDirection,
             twoHands: this.twoHandsPresent,
-            handsDistance: this.handsDistance
+            handsDistance: this.handsDistance,
+            hands: this.hands
         };
     }
 
     getGestureLabel() {
         if (!this.handPresent) return 'No hand detected';
 
+        if (this.twoHandsPresent) return '🙌 Two Hands - Zoom';
         if (this.pinchStrength > 0.7) return '🤏 Pinch';
         if (this.handOpenness > 0.8) return '✋ Open Hand - Expand';
         if (this.handOpenness < 0.2) return '✊ Closed Fist - Contract';
         if (Math.abs(this.handRotation) > 1.2) return '🔄 Rotating';
-        if (this.twoHandsPresent) return '🙌 Two Hands - Zoom';
 
         return '👋 Hand Tracking';
     }
 }
 
+// ============================================
+// PHYSICS SIMULATION (GPGPU)
+// ============================================
+const VELOCITY_SHADER = `
+    uniform sampler2D targetTexture;
+    uniform vec3 handPosition;
+    uniform float handStrength;
+    uniform float attraction;
+    uniform float damping;
+    uniform float delta;
+    uniform vec4 fingertips[MAX_FINGERTIPS];
+    uniform float fingertipRadius;
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 pos = texture2D(texturePosition, uv).xyz;
+        vec3 vel = texture2D(textureVelocity, uv).xyz;
+        vec3 target = texture2D(targetTexture, uv).xyz;
+
+        // Spring towards the pattern target
+        vel += (target - pos) * attraction * delta;
+
+        // Hand force: positive pushes away, negative pulls in, falling off with distance
+        vec3 away = pos - handPosition;
+        float dist = length(away) + 0.001;
+        vel += (away / dist) * handStrength * delta / (1.0 + dist * dist * 0.25);
+
+        // Fingertips: w > 0 repels (poke holes), w < 0 attracts (drag a trail)
+        for (int i = 0; i < MAX_FINGERTIPS; i++) {
+            vec4 tip = fingertips[i];
+            if (tip.w == 0.0) continue;
+            vec3 toTip = tip.xyz - pos;
+            float falloff = 1.0 - smoothstep(0.0, fingertipRadius, length(toTip));
+            vel -= toTip * tip.w * falloff * 60.0 * delta;
+        }
+
+        vel *= pow(damping, delta * 60.0);
+        gl_FragColor = vec4(vel, 1.0);
+    }
+`;
+
+const POSITION_SHADER = `
+    uniform float delta;
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 pos = texture2D(texturePosition, uv).xyz;
+        vec3 vel = texture2D(textureVelocity, uv).xyz;
+        gl_FragColor = vec4(pos + vel * delta, 1.0);
+    }
+`;
+
+class PhysicsSimulation {
+    constructor(renderer, count, initialPositions) {
+        if (!renderer.capabilities.isWebGL2) {
+            throw new Error('Physics mode needs WebGL2');
+        }
+
+        this.renderer = renderer;
+        this.count = count;
+        this.size = Math.ceil(Math.sqrt(count));
+        this.gpuCompute = new GPUComputationRenderer(this.size, this.size, renderer);
+
+        const position0 = this.gpuCompute.createTexture();
+        const velocity0 = this.gpuCompute.createTexture();
+        const data = position0.image.data;
+        for (let i = 0; i < count; i++) {
+            data[i * 4] = initialPositions[i * 3];
+            data[i * 4 + 1] = initialPositions[i * 3 + 1];
+            data[i * 4 + 2] = initialPositions[i * 3 + 2];
+            data[i * 4 + 3] = 1;
+        }
+
+        this.targetTexture = this.gpuCompute.createTexture();
+
+        this.velocityVariable = this.gpuCompute.addVariable('textureVelocity', VELOCITY_SHADER, velocity0);
+        this.positionVariable = this.gpuCompute.addVariable('texturePosition', POSITION_SHADER, position0);
+        this.gpuCompute.setVariableDependencies(this.velocityVariable, [this.positionVariable, this.velocityVariable]);
+        this.gpuCompute.setVariableDependencies(this.positionVariable, [this.positionVariable, this.velocityVariable]);
+
+        Object.assign(this.velocityVariable.material.uniforms, {
+            targetTexture: { value: this.targetTexture },
+            handPosition: { value: new THREE.Vector3() },
+            handStrength: { value: 0 },
+            attraction: { value: CONFIG.physicsAttraction },
+            damping: { value: CONFIG.physicsDamping },
+            delta: { value: 0 },
+            fingertips: { value: Array.from({ length: MAX_FINGERTIPS }, () => new THREE.Vector4()) },
+            fingertipRadius: { value: CONFIG.fingertipRadius }
+        });
+        this.velocityVariable.material.defines.MAX_FINGERTIPS = MAX_FINGERTIPS;
+        this.positionVariable.material.uniforms.delta = { value: 0 };
+
+        const error = this.gpuCompute.init();
+        if (error !== null) {
+            this.gpuCompute.dispose();
+            throw new Error(error);
+        }
+    }
+
+    setTargets(targetPositions) {
+        const data = this.targetTexture.image.data;
+        for (let i = 0; i < this.count; i++) {
+            data[i * 4] = targetPositions[i * 3];
+            data[i * 4 + 1] = targetPositions[i * 3 + 1];
+            data[i * 4 + 2] = targetPositions[i * 3 + 2];
+        }
+        this.targetTexture.needsUpdate = true;
+    }
+
+    step(deltaTime, handPosition, handStrength, fingertips) {
+        // Clamp so a stalled tab doesn't fling everything off-screen
+        const delta = Math.min(deltaTime, 1 / 30);
+        const uniforms = this.velocityVariable.material.uniforms;
+        uniforms.delta.value = delta;
+        uniforms.handPosition.value.copy(handPosition);
+        uniforms.handStrength.value = handStrength;
+        uniforms.fingertips.value = fingertips;
+        this.positionVariable.material.uniforms.delta.value = delta;
+
+        this.gpuCompute.compute();
+    }
+
+    getPositionTexture() {
+        return this.gpuCompute.getCurrentRenderTarget(this.positionVariable).texture;
+    }
+
+    // Read the simulated positions back to the CPU (slow, only for mode switches)
+    readPositions() {
+        const pixels = new Float32Array(this.size * this.size * 4);
+        const target = this.gpuCompute.getCurrentRenderTarget(this.positionVariable);
+        this.renderer.readRenderTargetPixels(target, 0, 0, this.size, this.size, pixels);
+
+        const positions = new Float32Array(this.count * 3);
+        for (let i = 0; i < this.count; i++) {
+            positions[i * 3] = pixels[i * 4];
+            positions[i * 3 + 1] = pixels[i * 4 + 1];
+            positions[i * 3 + 2] = pixels[i * 4 + 2];
+        }
+        return positions;
+    }
+
+    dispose() {
+        this.gpuCompute.dispose();
+        this.targetTexture.dispose();
+    }
+}
+
 // ============================================
 // PARTICLE SYSTEM
 // ============================================
+// Sprite drawn for each particle; the shader picks by index, so keep the order
+const PARTICLE_SPRITES = { circle: 'Circle', star: 'Star', spark: 'Spark', heart: 'Heart', texture: 'Custom image' };
+const SPRITE_TEXTURE_SIZE = 128;
+const SPRITE_TEXTURE_STORAGE_KEY = 'magic-fingers-sprite-texture';
+const MAX_POINT_SIZE = 64; // Pixels, before export scaling
+// With perspective sizing, particles this far from the camera (its resting distance)
+// keep their fixed size; nearer ones grow and farther ones shrink
+const SIZE_ATTENUATION_DISTANCE = 20;
+
+// Draws an image centered into a small square canvas for use as a sprite texture
+const createSpriteTexture = (image) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = SPRITE_TEXTURE_SIZE;
+    const scale = SPRITE_TEXTURE_SIZE / Math.max(image.width, image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    canvas.getContext('2d').drawImage(image, (SPRITE_TEXTURE_SIZE - width) / 2, (SPRITE_TEXTURE_SIZE - height) / 2, width, height);
+    return { texture: new THREE.CanvasTexture(canvas), dataUrl: canvas.toDataURL('image/png') };
+};
+
 class ParticleSystem {
-    constructor(scene) {
+    constructor(scene, renderer, camera) {
         this.scene = scene;
+        this.renderer = renderer;
+        this.camera = camera;
         this.count = CONFIG.particleCount;
         this.currentPattern = 'sphere';
+        this.currentText = null;
+        this.customTarget = null;
+        this.hasCustomColors = false;
         this.morphStartTime = 0;
-
+        this.colorMorphStartTime = 0;
+        // Offline export sets this to step scene time manually (seconds)
+        this.clockOverride = null;
+        this.physics = null;
+        this.handLocal = new THREE.Vector3();
+        this.handRay = new THREE.Raycaster();
+        this.handPlane = new THREE.Plane();
+        this.fingertips = Array.from({ length: MAX_FINGERTIPS }, () => new THREE.Vector4());
+        this.sprite = 'circle';
+        this.spriteTexture = null;
+        this.sizeAttenuation = false;
+
+        this.palette = { ...DEFAULT_PALETTE };
         this.createParticles();
         this.setPattern('sphere');
     }
 
-    createParticles() {
+    createGeometry(count) {
         const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(this.count * 3);
-        const sourcePositions = new Float32Array(this.count * 3);
-        const targetPositions = new Float32Array(this.count * 3);
-        const randomValues = new Float32Array(this.count * 3);
-        const colors = new Float32Array(this.count * 3);
-        const sizes = new Float32Array(this.count);
+        const positions = new Float32Array(count * 3);
+        const sourcePositions = new Float32Array(count * 3);
+        const targetPositions = new Float32Array(count * 3);
+        const randomValues = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+        const sourceColors = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+        const references = new Float32Array(count * 2);
+        const textureSize = Math.ceil(Math.sqrt(count));
+
+        for (let i = 0; i < count; i++) {
+            // Texel this particle reads from in physics mode
+            references[i * 2] = (i % textureSize + 0.5) / textureSize;
+            references[i * 2 + 1] = (Math.floor(i / textureSize) + 0.5) / textureSize;
 
-        for (let i = 0; i < this.count; i++) {
             // Random initial jitter
             randomValues[i * 3] = Math.random();
             randomValues[i * 3 + 1] = Math.random();
             randomValues[i * 3 + 2] = Math.random();
 
-            colors[i * 3] = CONFIG.baseColor.r;
-            colors[i * 3 + 1] = CONFIG.baseColor.g;
-            colors[i * 3 + 2] = CONFIG.baseColor.b;
+            CONFIG.baseColor.toArray(colors, i * 3);
+            CONFIG.baseColor.toArray(sourceColors, i * 3);
 
             sizes[i] = CONFIG.particleSize * (0.8 + Math.random() * 0.4);
         }
@@ -700,67 +1648,199 @@ class ParticleSystem {
         geometry.setAttribute('targetPosition', new THREE.BufferAttribute(targetPositions, 3));
         geometry.setAttribute('randomValue', new THREE.BufferAttribute(randomValues, 3));
         geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('sourceColor', new THREE.BufferAttribute(sourceColors, 3));
         geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        geometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+
+        return geometry;
+    }
+
+    createParticles() {
+        const geometry = this.createGeometry(this.count);
 
         const material = new THREE.ShaderMaterial({
             uniforms: {
                 time: { value: 0 },
                 morphFactor: { value: 0 },
+                colorMorph: { value: 1 },
                 dispersion: { value: 0 },
                 pinch: { value: 0 },
                 zoom: { value: 1 },
                 pixelRatio: { value: window.devicePixelRatio },
-                baseColor: { value: CONFIG.baseColor }
+                baseColor: { value: CONFIG.baseColor },
+                usePhysics: { value: 0 },
+                texturePosition: { value: null },
+                fingertips: { value: this.fingertips },
+                fingertipRadius: { value: CONFIG.fingertipRadius },
+                hueShift: { value: 0 },
+                sizeScale: { value: 1 },
+                outputScale: { value: 1 },
+                audioBass: { value: 0 },
+                audioMid: { value: 0 },
+                audioTreble: { value: 0 },
+                audioBeat: { value: 0 },
+                sprite: { value: 0 },
+                spriteTexture: { value: null },
+                sizeAttenuation: { value: 0 }
+            },
+            defines: {
+                MAX_FINGERTIPS,
+                MAX_POINT_SIZE: MAX_POINT_SIZE.toFixed(1),
+                SIZE_ATTENUATION_DISTANCE: SIZE_ATTENUATION_DISTANCE.toFixed(1)
             },
             vertexShader: `
                 attribute float size;
                 attribute vec3 color;
+                attribute vec3 sourceColor;
                 attribute vec3 sourcePosition;
                 attribute vec3 targetPosition;
                 attribute vec3 randomValue;
+                attribute vec2 reference;
                 
                 varying vec3 vColor;
                 varying float vAlpha;
+                varying float vPointSize;
                 
                 uniform float time;
                 uniform float morphFactor;
+                uniform float colorMorph;
                 uniform float dispersion;
                 uniform float pinch;
                 uniform float zoom;
                 uniform float pixelRatio;
+                uniform float outputScale;
+                uniform float usePhysics;
+                uniform sampler2D texturePosition;
+                uniform vec4 fingertips[MAX_FINGERTIPS];
+                uniform float fingertipRadius;
+                uniform float hueShift;
+                uniform float sizeScale;
+                uniform float audioBass;
+                uniform float audioMid;
+                uniform float audioTreble;
+                uniform float audioBeat;
+                uniform float sizeAttenuation;
+                
+                // Rotate a color around the grey axis
+                vec3 rotateHue(vec3 c, float angle) {
+                    const vec3 k = vec3(0.57735);
+                    float cosA = cos(angle);
+                    return c * cosA + cross(k, c) * sin(angle) + k * dot(k, c) * (1.0 - cosA);
+                }
                 
                 void main() {
-                    vColor = color;
+                    // Colors crossfade from the previous palette or pattern on the morph curve
+                    vec3 morphedColor = mix(sourceColor, color, smoothstep(0.0, 1.0, colorMorph));
+                    vColor = hueShift == 0.0 ? morphedColor : max(rotateHue(morphedColor, hueShift), 0.0);
                     
-                    float t = smoothstep(0.0, 1.0, morphFactor);
-                    vec3 pos = mix(sourcePosition, targetPosition, t);
+                    vec3 pos;
+                    if (usePhysics > 0.5) {
+                        pos = texture2D(texturePosition, reference).xyz;
+                    } else {
+                        float t = smoothstep(0.0, 1.0, morphFactor);
+                        pos = mix(sourcePosition, targetPosition, t);
+                    }
                     
-                    pos *= (1.0 + dispersion * 0.4);
+                    // Bass breathes the shape out like an open hand
+                    pos *= (1.0 + dispersion * 0.4 + audioBass * 0.5);
                     
-                    // Minute Jitter
-                    pos.x += sin(time * 3.0 + randomValue.x * 10.0) * 0.02;
-                    pos.y += cos(time * 2.5 + randomValue.y * 10.0) * 0.02;
-                    pos.z += sin(time * 2.8 + randomValue.z * 10.0) * 0.02;
+                    // Minute Jitter (mids make it shimmer)
+                    float jitter = 0.02 * (1.0 + audioMid * 4.0);
+                    pos.x += sin(time * 3.0 + randomValue.x * 10.0) * jitter;
+                    pos.y += cos(time * 2.5 + randomValue.y * 10.0) * jitter;
+                    pos.z += sin(time * 2.8 + randomValue.z * 10.0) * jitter;
                     
                     if (pinch > 0.1) pos *= (1.0 - pinch * 0.8);
                     pos *= zoom;
                     
+                    // Fingertip fields (physics mode applies them as forces instead)
+                    if (usePhysics < 0.5) {
+                        for (int i = 0; i < MAX_FINGERTIPS; i++) {
+                            vec4 tip = fingertips[i];
+                            if (tip.w == 0.0) continue;
+                            vec3 away = pos - tip.xyz;
+                            float dist = length(away) + 0.0001;
+                            float falloff = 1.0 - smoothstep(0.0, fingertipRadius, dist);
+                            if (tip.w > 0.0) {
+                                // Push out towards the edge of the radius to poke a hole
+                                pos += (away / dist) * falloff * tip.w * (fingertipRadius - dist);
+                            } else {
+                                pos = mix(pos, tip.xyz, falloff * -tip.w);
+                            }
+                        }
+                    }
+                    
                     vAlpha = 0.4 + sin(time * 2.0 + randomValue.x * 6.28) * 0.4;
+                    // Treble sparkles a random subset, beats flash everything
+                    vAlpha = min(1.0, vAlpha + audioTreble * step(0.6, randomValue.y) * 0.6 + audioBeat * 0.3);
                     
                     vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
-                    // FIXED MINUTE SIZE: No attenuation, just 1-2px crisp stars
-                    gl_PointSize = clamp(size * pixelRatio * 0.8, 1.0, 2.5);
+                    // Fixed pixel size by default; perspective sizing scales it by depth
+                    float pointSize = size * sizeScale * pixelRatio * 0.8;
+                    pointSize *= mix(1.0, SIZE_ATTENUATION_DISTANCE / -mvPosition.z, sizeAttenuation);
+                    // outputScale keeps the on-screen look in larger exports
+                    gl_PointSize = clamp(pointSize, 1.0, MAX_POINT_SIZE) * outputScale;
+                    vPointSize = gl_PointSize;
                     gl_Position = projectionMatrix * mvPosition;
                 }
             `,
             fragmentShader: `
                 varying vec3 vColor;
                 varying float vAlpha;
+                varying float vPointSize;
+                
+                uniform float sprite;
+                uniform sampler2D spriteTexture;
+                
+                // Signed distance to a five-pointed star (after Inigo Quilez)
+                float sdStar5(vec2 p, float r, float rf) {
+                    vec2 k1 = vec2(0.809016994375, -0.587785252292);
+                    vec2 k2 = vec2(-k1.x, k1.y);
+                    p.x = abs(p.x);
+                    p -= 2.0 * max(dot(k1, p), 0.0) * k1;
+                    p -= 2.0 * max(dot(k2, p), 0.0) * k2;
+                    p.x = abs(p.x);
+                    p.y -= r;
+                    vec2 ba = rf * vec2(-k1.y, k1.x) - vec2(0.0, 1.0);
+                    float h = clamp(dot(p, ba) / dot(ba, ba), 0.0, r);
+                    return length(p - ba * h) * sign(p.y * ba.x - p.x * ba.y);
+                }
+                
+                // Signed distance to a heart with its tip at the origin (after Inigo Quilez)
+                float sdHeart(vec2 p) {
+                    p.x = abs(p.x);
+                    if (p.y + p.x > 1.0) return length(p - vec2(0.25, 0.75)) - 0.353553;
+                    vec2 a = p - vec2(0.0, 1.0);
+                    vec2 b = p - 0.5 * max(p.x + p.y, 0.0);
+                    return sqrt(min(dot(a, a), dot(b, b))) * sign(p.x - p.y);
+                }
                 
                 void main() {
                     float dist = length(gl_PointCoord - vec2(0.5));
                     // Sharper transition for "minute" particles
                     float strength = 1.0 - smoothstep(0.3, 0.5, dist);
+                    
+                    if (sprite > 0.5) {
+                        vec2 uv = vec2(gl_PointCoord.x, 1.0 - gl_PointCoord.y);
+                        vec2 p = uv - 0.5;
+                        float edge = 1.5 / vPointSize; // About a pixel of antialiasing
+                        float shape;
+                        if (sprite < 1.5) {
+                            shape = 1.0 - smoothstep(-edge, edge, sdStar5(p, 0.48, 0.45));
+                        } else if (sprite < 2.5) {
+                            // Bright core with four thin rays
+                            float rays = (1.0 - smoothstep(0.0, 0.05, abs(p.x))) * (1.0 - smoothstep(0.1, 0.5, abs(p.y)))
+                                + (1.0 - smoothstep(0.0, 0.05, abs(p.y))) * (1.0 - smoothstep(0.1, 0.5, abs(p.x)));
+                            shape = min(1.0, 1.0 - smoothstep(0.0, 0.2, length(p)) + rays * 0.8);
+                        } else if (sprite < 3.5) {
+                            shape = 1.0 - smoothstep(-edge, edge, sdHeart((uv - vec2(0.5, 0.05)) * 1.25) / 1.25);
+                        } else {
+                            vec4 texel = texture2D(spriteTexture, uv);
+                            shape = texel.a * max(texel.r, max(texel.g, texel.b));
+                        }
+                        // A few pixels can't show a shape, so tiny particles stay round dots
+                        strength = mix(strength, shape, smoothstep(3.0, 6.0, vPointSize));
+                    }
                     if (strength < 0.1) discard;
                     
                     vec3 finalColor = vColor * (1.8 + strength);
@@ -780,8 +1860,16 @@ class ParticleSystem {
         if (!PATTERNS[patternName]) return;
 
         this.currentPattern = patternName;
+        this.currentText = null;
+        this.customTarget = null;
         const patternFn = PATTERNS[patternName];
 
+        this.morphTo(i => patternFn(i, this.count));
+        this.restoreBaseColors();
+    }
+
+    // Morph from the current targets into new ones, positionAt(i) giving particle i's target
+    morphTo(positionAt) {
         // Move current targets to source
         const sourcePositions = this.particles.geometry.attributes.sourcePosition.array;
         const targetPositions = this.particles.geometry.attributes.targetPosition.array;
@@ -794,7 +1882,7 @@ class ParticleSystem {
 
         // Generate new targets
         for (let i = 0; i < this.count; i++) {
-            const pos = patternFn(i, this.count);
+            const pos = positionAt(i);
             targetPositions[i * 3] = pos.x;
             targetPositions[i * 3 + 1] = pos.y;
             targetPositions[i * 3 + 2] = pos.z;
@@ -802,35 +1890,163 @@ class ParticleSystem {
 
         this.particles.geometry.attributes.sourcePosition.needsUpdate = true;
         this.particles.geometry.attributes.targetPosition.needsUpdate = true;
+        if (this.physics) this.physics.setTargets(targetPositions);
 
-        this.morphStartTime = performance.now() * 0.001;
+        this.morphStartTime = this.now();
     }
 
-    setColor(color) {
-        const threeColor = new THREE.Color(color);
-        CONFIG.baseColor.copy(threeColor);
-
-        const colors = this.particles.geometry.attributes.color.array;
-
-        for (let i = 0; i < this.count; i++) {
-            // Add slight color variation
-            const hsl = {};
-            threeColor.getHSL(hsl);
-            const variation = new THREE.Color().setHSL(
-                hsl.h + (Math.random() - 0.5) * 0.1,
-                hsl.s,
-                hsl.l + (Math.random() - 0.5) * 0.2
-            );
-
-            colors[i * 3] = variation.r;
-            colors[i * 3 + 1] = variation.g;
-            colors[i * 3 + 2] = variation.b;
+    // Targets that aren't registered patterns (text, imported models). generate(count)
+    // returns { positions, colors? } and is re-run when the particle count changes.
+    applyCustomTarget(generate) {
+        this.customTarget = generate;
+        const { positions, colors } = generate(this.count);
+
+        this.morphTo(i => positions[i % positions.length]);
+
+        if (colors) {
+            this.beginColorMorph();
+            const colorArray = this.particles.geometry.attributes.color.array;
+            for (let i = 0; i < this.count; i++) {
+                const color = colors[i % colors.length];
+                colorArray[i * 3] = color.r;
+                colorArray[i * 3 + 1] = color.g;
+                colorArray[i * 3 + 2] = color.b;
+            }
+            this.particles.geometry.attributes.color.needsUpdate = true;
+            this.hasCustomColors = true;
+        } else {
+            this.restoreBaseColors();
         }
+    }
 
-        this.particles.geometry.attributes.color.needsUpdate = true;
+    // Back to palette colors after custom ones, or to recolor a new shape
+    restoreBaseColors() {
+        if (!this.hasCustomColors && !PALETTE_MODES[this.palette.mode].followsShape) return;
+        this.hasCustomColors = false;
+        this.applyPalette();
     }
 
-    setParticleSize(size) {
+    setModelPattern(model) {
+        this.currentText = null;
+        this.applyCustomTarget(count => getModelPositions(model, count));
+    }
+
+    setImagePattern(image, options) {
+        this.currentText = null;
+        this.applyCustomTarget(count => getImagePositions(image, count, options));
+    }
+
+    setColor(color) {
+        CONFIG.baseColor.set(color);
+        this.hasCustomColors = false;
+        this.applyPalette();
+    }
+
+    setPalette(palette) {
+        this.palette = sanitizePalette(palette);
+        this.hasCustomColors = false;
+        this.applyPalette();
+    }
+
+    // New colors are written to the color attribute (the target); this keeps what's on
+    // screen right now as the source and restarts the crossfade
+    beginColorMorph() {
+        const attrs = this.particles.geometry.attributes;
+        const source = attrs.sourceColor.array;
+        const target = attrs.color.array;
+        const f = this.particles.material.uniforms.colorMorph.value;
+        const t = f * f * (3 - 2 * f);
+
+        for (let i = 0; i < source.length; i++) {
+            source[i] += (target[i] - source[i]) * t;
+        }
+        attrs.sourceColor.needsUpdate = true;
+        this.particles.material.uniforms.colorMorph.value = 0;
+        this.colorMorphStartTime = this.now();
+    }
+
+    applyPalette() {
+        this.beginColorMorph();
+        const { mode, colors: stopColors, stops, axis } = this.palette;
+        const colors = this.particles.geometry.attributes.color.array;
+        const targets = this.particles.geometry.attributes.targetPosition.array;
+        const color = new THREE.Color();
+        const position = new THREE.Vector3();
+        const hsl = {};
+        CONFIG.baseColor.getHSL(hsl);
+
+        let colorAt;
+        if (mode === 'gradient' || mode === 'natural') {
+            const natural = mode === 'natural' && !this.customTarget && PATTERN_INFO[this.currentPattern]?.color;
+            if (natural) {
+                colorAt = (i) => natural(color, i, this.count, position);
+            } else {
+                // Natural falls back to the base color fading out from a bright core
+                const gradient = mode === 'gradient'
+                    ? [CONFIG.baseColor, ...stopColors.slice(0, stops - 1).map(hex => new THREE.Color(hex))]
+                    : [new THREE.Color().setHSL(hsl.h, hsl.s * 0.4, 0.9), CONFIG.baseColor];
+                const measure = mode === 'natural' || axis === 'radius'
+                    ? () => position.length()
+                    : () => position[axis];
+
+                // Stretch the gradient over the shape's extent
+                let min = Infinity, max = -Infinity;
+                for (let i = 0; i < this.count; i++) {
+                    position.fromArray(targets, i * 3);
+                    const value = measure();
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                }
+                if (mode === 'natural' || axis === 'radius') min = 0;
+                const range = max - min || 1;
+                colorAt = () => gradientAt(color, gradient, (measure() - min) / range);
+            }
+        } else if (mode === 'rainbow') {
+            colorAt = (i) => color.setHSL(i / this.count, Math.max(hsl.s, 0.8), 0.6);
+        } else {
+            // Solid (and hue cycle, which rotates it over time): slight variation around the base color
+            colorAt = () => color.setHSL(
+                hsl.h + (Math.random() - 0.5) * 0.1,
+                hsl.s,
+                hsl.l + (Math.random() - 0.5) * 0.2
+            );
+        }
+
+        for (let i = 0; i < this.count; i++) {
+            position.fromArray(targets, i * 3);
+            colorAt(i);
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        }
+
+        this.particles.geometry.attributes.color.needsUpdate = true;
+    }
+
+    setSprite(name, texture = null) {
+        if (texture) {
+            if (this.spriteTexture) this.spriteTexture.dispose();
+            this.spriteTexture = texture;
+            this.particles.material.uniforms.spriteTexture.value = texture;
+        }
+        if (!PARTICLE_SPRITES[name] || (name === 'texture' && !this.spriteTexture)) name = 'circle';
+        this.sprite = name;
+        this.particles.material.uniforms.sprite.value = Object.keys(PARTICLE_SPRITES).indexOf(name);
+    }
+
+    setSizeAttenuation(enabled) {
+        this.sizeAttenuation = enabled;
+        this.particles.material.uniforms.sizeAttenuation.value = enabled ? 1 : 0;
+    }
+
+    // Largest point the shader can draw right now, in pixels before export scaling
+    getMaxPointSize() {
+        if (this.sizeAttenuation) return MAX_POINT_SIZE;
+        const { sizeScale, pixelRatio } = this.particles.material.uniforms;
+        return Math.min(MAX_POINT_SIZE, CONFIG.particleSize * 1.2 * sizeScale.value * pixelRatio.value * 0.8);
+    }
+
+    setParticleSize(size) {
         CONFIG.particleSize = size;
         const sizes = this.particles.geometry.attributes.size.array;
 
@@ -841,291 +2057,1685 @@ class ParticleSystem {
         this.particles.geometry.attributes.size.needsUpdate = true;
     }
 
-    setTextPattern(text) {
+    setTextPattern(text, options = {}) {
         if (!text) return;
 
-        const positions = getTextPositions(text, this.count);
+        this.applyCustomTarget(count => ({ positions: getTextPositions(text, count, options) }));
+        this.currentText = text;
+        this.currentTextOptions = options;
+    }
 
-        // Move current targets to source
-        const sourcePositions = this.particles.geometry.attributes.sourcePosition.array;
-        const targetPositions = this.particles.geometry.attributes.targetPosition.array;
+    // CPU mirror of the vertex shader's morph, so we can capture where particles are right now
+    getCurrentPositions() {
+        if (this.physics) return this.physics.readPositions();
 
-        for (let i = 0; i < targetPositions.length; i++) {
-            sourcePositions[i] = targetPositions[i];
+        const attrs = this.particles.geometry.attributes;
+        const source = attrs.sourcePosition.array;
+        const target = attrs.targetPosition.array;
+        const f = this.particles.material.uniforms.morphFactor.value;
+        const t = f * f * (3 - 2 * f); // smoothstep(0, 1, f)
+
+        const current = new Float32Array(target.length);
+        for (let i = 0; i < current.length; i++) {
+            current[i] = source[i] + (target[i] - source[i]) * t;
         }
+        return current;
+    }
 
-        for (let i = 0; i < this.count; i++) {
-            const pos = positions[i % positions.length];
-            targetPositions[i * 3] = pos.x;
-            targetPositions[i * 3 + 1] = pos.y;
-            targetPositions[i * 3 + 2] = pos.z;
+    updateParticleCount(newCount) {
+        const maxCount = this.physics ? CONFIG.maxPhysicsParticleCount : CONFIG.maxParticleCount;
+        newCount = Math.max(1, Math.min(Math.round(newCount), maxCount));
+        if (newCount === this.count) return;
+
+        const oldCount = this.count;
+        const oldAttrs = this.particles.geometry.attributes;
+        const current = this.getCurrentPositions();
+
+        const geometry = this.createGeometry(newCount);
+        const attrs = geometry.attributes;
+
+        for (let i = 0; i < newCount; i++) {
+            // Start each particle where its proportional counterpart is now, so the resize doesn't pop
+            const j = Math.floor(i * oldCount / newCount);
+            for (let k = 0; k < 3; k++) {
+                attrs.targetPosition.array[i * 3 + k] = current[j * 3 + k];
+                attrs.color.array[i * 3 + k] = oldAttrs.color.array[j * 3 + k];
+                attrs.sourceColor.array[i * 3 + k] = oldAttrs.sourceColor.array[j * 3 + k];
+            }
+
+            // Surviving particles keep their jitter and size
+            if (i < oldCount) {
+                for (let k = 0; k < 3; k++) {
+                    attrs.randomValue.array[i * 3 + k] = oldAttrs.randomValue.array[i * 3 + k];
+                }
+                attrs.size.array[i] = oldAttrs.size.array[i];
+            }
         }
 
-        this.particles.geometry.attributes.sourcePosition.needsUpdate = true;
-        this.particles.geometry.attributes.targetPosition.needsUpdate = true;
-        this.morphStartTime = performance.now() * 0.001;
+        this.particles.geometry.dispose();
+        this.particles.geometry = geometry;
+        this.count = newCount;
+
+        if (this.physics) {
+            this.physics.dispose();
+            this.physics = new PhysicsSimulation(this.renderer, newCount, attrs.targetPosition.array);
+        }
+
+        // Regenerate the current shape at the new count and morph into it
+        if (this.customTarget) {
+            this.applyCustomTarget(this.customTarget);
+        } else {
+            this.setPattern(this.currentPattern);
+        }
     }
 
-    updateParticleCount(newCount) {
-        // For simplicity, we'll just update the visible range
-        // Full implementation would recreate the geometry
-        this.count = Math.min(newCount, CONFIG.particleCount);
+    setPhysicsEnabled(enabled) {
+        if (enabled === !!this.physics) return true;
+        const uniforms = this.particles.material.uniforms;
+
+        if (enabled) {
+            try {
+                this.physics = new PhysicsSimulation(this.renderer, this.count, this.getCurrentPositions());
+            } catch (error) {
+                console.warn('Physics mode unavailable:', error.message);
+                return false;
+            }
+            this.physics.setTargets(this.particles.geometry.attributes.targetPosition.array);
+            uniforms.usePhysics.value = 1;
+            return true;
+        }
+
+        // Morph from wherever the simulation left the particles back to the scripted targets
+        const sourcePositions = this.particles.geometry.attributes.sourcePosition;
+        sourcePositions.array.set(this.physics.readPositions());
+        sourcePositions.needsUpdate = true;
+        this.morphStartTime = this.now();
+
+        this.physics.dispose();
+        this.physics = null;
+        uniforms.usePhysics.value = 0;
+        uniforms.texturePosition.value = null;
+        return true;
+    }
+
+    // Project a normalized (MediaPipe) hand point onto the plane through the origin, in particle space.
+    // Landmark z (relative depth, negative towards the camera) offsets the point off that plane.
+    handToLocal(point, target) {
+        // The camera feed isn't mirrored, so flip x to match the user's point of view
+        const ndc = new THREE.Vector2(1 - point.x * 2, 1 - point.y * 2);
+        const towardsCamera = this.camera.getWorldDirection(new THREE.Vector3()).negate();
+        this.handRay.setFromCamera(ndc, this.camera);
+        this.handPlane.setFromNormalAndCoplanarPoint(towardsCamera, new THREE.Vector3());
+        if (!this.handRay.ray.intersectPlane(this.handPlane, target)) target.set(0, 0, 0);
+        if (point.z) target.addScaledVector(towardsCamera, -point.z * CONFIG.fingertipDepthScale);
+        return this.particles.worldToLocal(target);
+    }
+
+    updateFingertips(gesture, scale) {
+        const point = new THREE.Vector3();
+        let slot = 0;
+
+        for (const side of ['left', 'right']) {
+            const hand = gesture.hands[side];
+            if (!CONFIG.fingertipForces || !hand.present) continue;
+
+            // A pinching hand grabs with its index tip; otherwise every tip pokes
+            const grabbing = hand.pinch < CONFIG.fingertipPinchThreshold;
+            hand.fingertips.forEach((tip, i) => {
+                if (grabbing && FINGERTIP_LANDMARKS[i] !== 8) return;
+                this.handToLocal(tip, point).divideScalar(scale);
+                this.fingertips[slot++].set(point.x, point.y, point.z, grabbing ? -1 : 1);
+            });
+        }
+
+        for (; slot < MAX_FINGERTIPS; slot++) this.fingertips[slot].set(0, 0, 0, 0);
     }
 
-    update(gesture, deltaTime) {
-        const time = performance.now() * 0.001;
+    // Scene time in seconds
+    now() {
+        return this.clockOverride ?? performance.now() * 0.001;
+    }
+
+    // params come from GestureMapper.evaluate: what each gesture binding currently drives.
+    // audio is AudioAnalyzer.update's levels (already scaled by reactivity) or null.
+    update(gesture, deltaTime, params, audio = null) {
+        const time = this.now();
 
         // Update Uniforms
         const uniforms = this.particles.material.uniforms;
         uniforms.time.value = time;
 
-        // Morph Factor
+        // Morph Factor (a bound gesture can scrub it instead)
         const elapsed = time - this.morphStartTime;
-        uniforms.morphFactor.value = Math.min(1.0, elapsed / CONFIG.morphSpeed);
-
-        // Gesture effects
-        uniforms.dispersion.value = (gesture.openness - 0.5) * 2 * CONFIG.dispersionMultiplier;
+        uniforms.morphFactor.value = params.morph ?? Math.min(1.0, elapsed / CONFIG.morphSpeed);
+        // A pattern change starts both together, so colors and shape share one curve
+        uniforms.colorMorph.value = params.morph ?? Math.min(1.0, (time - this.colorMorphStartTime) / CONFIG.morphSpeed);
+
+        // In physics mode the hand acts as a force field instead of scaling the shape
+        uniforms.dispersion.value = this.physics ? 0 : params.dispersion * CONFIG.dispersionMultiplier;
+        // Beats kick the zoom on top of the hand's
+        const targetZoom = params.zoom * (1 + (audio ? audio.beat * 0.15 : 0));
+        uniforms.zoom.value += (targetZoom - uniforms.zoom.value) * 0.2;
+
+        uniforms.audioBass.value = audio ? audio.bass : 0;
+        uniforms.audioMid.value = audio ? audio.mid : 0;
+        uniforms.audioTreble.value = audio ? audio.treble : 0;
+        uniforms.audioBeat.value = audio ? audio.beat : 0;
+        uniforms.hueShift.value = THREE.MathUtils.degToRad(params.hue)
+            + (this.palette.mode === 'cycle' ? time * HUE_CYCLE_SPEED * Math.PI * 2 : 0);
+        uniforms.sizeScale.value = params.particleSize;
+
+        // Physics positions are scaled by zoom in the vertex shader afterwards, so undo it
+        // to keep the forces under the hand
+        this.updateFingertips(gesture, this.physics ? uniforms.zoom.value : 1);
+
+        if (this.physics) {
+            this.handToLocal(gesture.position, this.handLocal).divideScalar(uniforms.zoom.value);
+            const handStrength = gesture.present
+                ? (gesture.openness - 0.5) * 2 * CONFIG.physicsHandForce
+                : 0;
+            this.physics.step(deltaTime, this.handLocal, handStrength, this.fingertips);
+            uniforms.texturePosition.value = this.physics.getPositionTexture();
+        }
 
-        // Use Pinch for Zoom (1.0 is neutral)
-        uniforms.zoom.value = 0.5 + gesture.pinch * 1.5;
+        this.particles.rotation.y += CONFIG.rotationSpeed * params.rotationSpeed;
+        // Follow a held roll closely, drift back to centre when released
+        this.particles.rotation.z += (params.roll - this.particles.rotation.z) * (params.roll === 0 ? 0.08 : 0.5);
 
-        // Rotate based on Closed Hand (Fist) Turn
         if (gesture.present && gesture.openness < 0.3) {
-            // Only rotate when hand is closed (Fist)
-            this.particles.rotation.z = -gesture.rotation;
-
-            const spinInfluence = 1.0 + Math.abs(gesture.rotation) * 3.0;
-            this.particles.rotation.y += CONFIG.rotationSpeed * spinInfluence;
-
+            // Closed fist tilts with the hand's height
             this.particles.rotation.x = (gesture.position.y - 0.5) * 0.4;
         } else {
-            // Idle state or Open Hand behavior
-            this.particles.rotation.y += CONFIG.rotationSpeed;
-            this.particles.rotation.z *= 0.92; // Smoothly return to center
             this.particles.rotation.x = Math.sin(time * 0.2) * 0.1;
         }
     }
 }
 
 // ============================================
-// MAIN APPLICATION
+// GESTURE RECORDING & REPLAY
 // ============================================
-class App {
+const RECORDING_VERSION = 1;
+
+// Hand connections for visualization
+const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4],
+    [0, 5], [5, 6], [6, 7], [7, 8],
+    [0, 9], [9, 10], [10, 11], [11, 12],
+    [0, 13], [13, 14], [14, 15], [15, 16],
+    [0, 17], [17, 18], [18, 19], [19, 20],
+    [5, 9], [9, 13], [13, 17]
+];
+
+// Captures the raw MediaPipe stream: per frame, a timestamp (ms since start),
+// each hand's 21 landmarks as [x, y, z] and its handedness label
+class GestureRecorder {
     constructor() {
-        this.init();
-        this.setupEventListeners();
-        this.initHandTracking();
-        this.animate();
+        this.recording = false;
+        this.frames = [];
     }
 
-    init() {
-        // Scene
-        this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(0x0a0a0f);
+    start() {
+        this.frames = [];
+        this.startTime = performance.now();
+        this.recording = true;
+    }
 
-        // Camera
-        this.camera = new THREE.PerspectiveCamera(
-            60,
-            window.innerWidth / window.innerHeight,
-            0.1,
-            1000
-        );
-        this.camera.position.z = 20;
+    capture(results) {
+        if (!this.recording) return;
 
-        // Renderer
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        document.getElementById('canvas-container').appendChild(this.renderer.domElement);
+        const round = value => Math.round(value * 1e5) / 1e5;
+        this.frames.push({
+            t: Math.round(performance.now() - this.startTime),
+            hands: (results.multiHandLandmarks || []).map(landmarks =>
+                landmarks.map(({ x, y, z }) => [round(x), round(y), round(z)])
+            ),
+            handedness: (results.multiHandedness || []).map(h => h.label)
+        });
+    }
 
-        // Controls
-        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
-        this.controls.enableDamping = true;
-        this.controls.dampingFactor = 0.05;
-        this.controls.enablePan = false;
-        this.controls.minDistance = 10;
-        this.controls.maxDistance = 50;
+    stop() {
+        this.recording = false;
+        return {
+            version: RECORDING_VERSION,
+            recordedAt: new Date().toISOString(),
+            duration: this.frames.length ? this.frames[this.frames.length - 1].t : 0,
+            frames: this.frames
+        };
+    }
+}
 
-        // Particle System
-        this.particleSystem = new ParticleSystem(this.scene);
+// Rebuild the MediaPipe results shape from a recorded frame
+const recordingFrameToResults = (frame) => ({
+    multiHandLandmarks: frame.hands.map(landmarks => landmarks.map(([x, y, z]) => ({ x, y, z }))),
+    multiHandedness: frame.handedness.map((label, index) => ({ index, label, score: 1 }))
+});
+
+// Check every frame up front so a malformed file is rejected on load rather
+// than failing part-way through playback
+const isLandmark = (point) =>
+    Array.isArray(point) && point.length === 3 && point.every(Number.isFinite);
+
+const isRecordingFrame = (frame) =>
+    frame !== null && typeof frame === 'object' &&
+    Number.isFinite(frame.t) &&
+    Array.isArray(frame.hands) &&
+    frame.hands.every(hand => Array.isArray(hand) && hand.length === 21 && hand.every(isLandmark)) &&
+    Array.isArray(frame.handedness) &&
+    frame.handedness.length === frame.hands.length &&
+    frame.handedness.every(label => typeof label === 'string');
+
+// Feeds recorded frames back at their original timing
+class GestureReplay {
+    constructor(recording, onFrame, { loop = false, onEnd } = {}) {
+        if (!recording || !Array.isArray(recording.frames) || recording.frames.length === 0) {
+            throw new Error('Recording has no frames');
+        }
+        const badFrame = recording.frames.findIndex(frame => !isRecordingFrame(frame));
+        if (badFrame !== -1) {
+            throw new Error(`Recording frame ${badFrame} is malformed`);
+        }
+        this.frames = recording.frames;
+        this.onFrame = onFrame;
+        this.onEnd = onEnd;
+        this.loop = loop;
+        this.timer = null;
+    }
 
-        // Gesture Detector
-        this.gestureDetector = new GestureDetector();
+    start() {
+        this.index = 0;
+        this.startTime = performance.now();
+        this.tick();
+    }
 
-        // Clock
-        this.clock = new THREE.Clock();
+    tick() {
+        const frame = this.frames[this.index];
+        this.onFrame(recordingFrameToResults(frame), this.startTime + frame.t);
+        this.index++;
 
-        // Add ambient particles/stars
-        this.addBackgroundStars();
+        if (this.index >= this.frames.length) {
+            if (!this.loop) {
+                this.timer = null;
+                if (this.onEnd) this.onEnd();
+                return;
+            }
+            // Continue the timeline from the last frame so looped timestamps stay deterministic
+            this.startTime += frame.t;
+            this.index = 0;
+        }
+
+        // Schedule against the start time rather than the previous frame, so timing doesn't drift
+        const due = this.startTime + this.frames[this.index].t;
+        this.timer = setTimeout(() => this.tick(), Math.max(0, due - performance.now()));
     }
 
-    addBackgroundStars() {
-        const starGeometry = new THREE.BufferGeometry();
-        const starPositions = new Float32Array(2000 * 3);
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
 
-        for (let i = 0; i < 2000; i++) {
-            starPositions[i * 3] = (Math.random() - 0.5) * 200;
-            starPositions[i * 3 + 1] = (Math.random() - 0.5) * 200;
-            starPositions[i * 3 + 2] = (Math.random() - 0.5) * 200;
-        }
+// ============================================
+// CUSTOM GESTURES
+// ============================================
+// User-trained poses (peace sign, thumbs up, ...) recognized by a nearest-neighbour search
+// over normalized landmarks. Each gesture can be bound to an action string:
+// 'pattern:<name>' or 'color:<hex>'.
+const CUSTOM_GESTURE_STORAGE_KEY = 'magic-fingers-gestures';
+const CUSTOM_GESTURE_SAMPLES = 30;      // Frames captured per recording (~1s)
+const CUSTOM_GESTURE_MAX_SAMPLES = 90;  // Oldest samples are dropped beyond this
+const CUSTOM_GESTURE_THRESHOLD = 0.35;  // RMS landmark distance, in palm lengths
+const CUSTOM_GESTURE_HOLD_MS = 400;     // A pose must hold this long to trigger its action
+
+// Wrist at the origin, scaled by the palm length (wrist to middle knuckle), left hands
+// mirrored onto right ones, so samples don't depend on where or how big the hand is
+function normalizeLandmarks(landmarks, side) {
+    const wrist = landmarks[0];
+    const knuckle = landmarks[9];
+    const scale = Math.hypot(knuckle.x - wrist.x, knuckle.y - wrist.y, knuckle.z - wrist.z) || 1;
+    const flip = side === 'left' ? -1 : 1;
+
+    const vector = new Array(landmarks.length * 3);
+    landmarks.forEach((point, i) => {
+        vector[i * 3] = Math.round((point.x - wrist.x) / scale * flip * 1000) / 1000;
+        vector[i * 3 + 1] = Math.round((point.y - wrist.y) / scale * 1000) / 1000;
+        vector[i * 3 + 2] = Math.round((point.z - wrist.z) / scale * 1000) / 1000;
+    });
+    return vector;
+}
 
-        starGeometry.setAttribute('position', new THREE.BufferAttribute(starPositions, 3));
+class GestureClassifier {
+    constructor(gestures = []) {
+        // [{ name, action, samples: [vector] }]
+        this.gestures = gestures;
+    }
 
-        const starMaterial = new THREE.PointsMaterial({
-            color: 0xffffff,
-            size: 0.5,
-            transparent: true,
-            opacity: 0.6
-        });
+    static fromJSON(data) {
+        const gestures = (Array.isArray(data) ? data : [])
+            .filter(g => g !== null && typeof g === 'object' &&
+                typeof g.name === 'string' && Array.isArray(g.samples))
+            .map(g => ({
+                name: g.name.slice(0, 24),
+                action: typeof g.action === 'string' ? g.action : '',
+                samples: g.samples.filter(v => Array.isArray(v) && v.length === 63 && v.every(Number.isFinite))
+            }));
+        return new GestureClassifier(gestures);
+    }
 
-        this.stars = new THREE.Points(starGeometry, starMaterial);
-        this.scene.add(this.stars);
+    toJSON() {
+        return this.gestures;
     }
 
-    async initHandTracking() {
-        const video = document.getElementById('webcam');
-        const webcamCanvas = document.getElementById('webcam-canvas');
-        const ctx = webcamCanvas.getContext('2d');
+    addSamples(name, samples) {
+        let gesture = this.gestures.find(g => g.name === name);
+        if (!gesture) {
+            gesture = { name, action: '', samples: [] };
+            this.gestures.push(gesture);
+        }
+        gesture.samples.push(...samples);
+        gesture.samples.splice(0, Math.max(0, gesture.samples.length - CUSTOM_GESTURE_MAX_SAMPLES));
+        return gesture;
+    }
 
-        try {
-            // Initialize MediaPipe Hands
-            const hands = new Hands({
-                locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/${file}`;
+    remove(name) {
+        this.gestures = this.gestures.filter(g => g.name !== name);
+    }
+
+    // Nearest sample over all gestures; null when nothing is close enough
+    classify(vector) {
+        let best = null;
+        let bestDistance = CUSTOM_GESTURE_THRESHOLD;
+
+        for (const gesture of this.gestures) {
+            for (const sample of gesture.samples) {
+                let sum = 0;
+                for (let i = 0; i < sample.length; i++) {
+                    const d = sample[i] - vector[i];
+                    sum += d * d;
                 }
-            });
+                const distance = Math.sqrt(sum / 21);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = gesture;
+                }
+            }
+        }
+        return best;
+    }
+}
 
-            hands.setOptions({
-                maxNumHands: 1,
-                modelComplexity: 1, // Increased to 1 for much better gesture stability
-                minDetectionConfidence: 0.6,
-                minTrackingConfidence: 0.6
-            });
+// ============================================
+// CALIBRATION
+// ============================================
+const CALIBRATION_STORAGE_KEY = 'magic-fingers-calibration';
+const CALIBRATION_LEAD_IN_MS = 1200; // Time to get into the pose before sampling
+const CALIBRATION_FRAMES = 45;       // Hand frames sampled per step (~1.5s)
+
+const CALIBRATION_STEPS = [
+    { id: 'open', icon: '✋', title: 'Open your hand wide', hint: 'Spread your fingers with your palm facing the camera' },
+    { id: 'fist', icon: '✊', title: 'Make a fist', hint: 'Close your hand tightly, still facing the camera' },
+    { id: 'pinch', icon: '🤏', title: 'Pinch', hint: 'Touch your thumb and index fingertips together' },
+    { id: 'hold', icon: '🖐️', title: 'Hold still', hint: 'Keep a relaxed hand as still as you can' }
+];
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
 
-            hands.onResults((results) => {
-                // Draw to preview canvas
-                webcamCanvas.width = video.videoWidth || 320;
-                webcamCanvas.height = video.videoHeight || 240;
-                ctx.save();
-                ctx.clearRect(0, 0, webcamCanvas.width, webcamCanvas.height);
-                ctx.drawImage(results.image, 0, 0, webcamCanvas.width, webcamCanvas.height);
-
-                // Draw hand landmarks
-                if (results.multiHandLandmarks) {
-                    for (const landmarks of results.multiHandLandmarks) {
-                        this.drawConnectors(ctx, landmarks, HAND_CONNECTIONS, { color: '#00d4ff', lineWidth: 2 });
-                        this.drawLandmarks(ctx, landmarks, { color: '#ff006e', radius: 3 });
-                    }
-                }
-                ctx.restore();
+// Validate stored calibration, falling back to the defaults for anything unusable
+const sanitizeCalibration = (data) => {
+    const range = (value, fallback) => {
+        const min = Number(value?.min);
+        const max = Number(value?.max);
+        return Number.isFinite(min) && Number.isFinite(max) && max - min > 0.01 ? { min, max } : { ...fallback };
+    };
+    return {
+        extension: range(data?.extension, DEFAULT_CALIBRATION.extension),
+        pinch: range(data?.pinch, DEFAULT_CALIBRATION.pinch),
+        jitter: clampNumber(data?.jitter, 0, 0.05, DEFAULT_CALIBRATION.jitter)
+    };
+};
 
-                // Process gestures
-                this.gestureDetector.processResults(results);
+// Turns the samples of each step into ranges. The extremes are pulled in by a tenth of
+// the span so "fully open" and "fully closed" stay reachable without straining.
+const computeCalibration = (samples) => {
+    const openExtension = median(samples.open.map(s => s.extension));
+    const fistExtension = median(samples.fist.map(s => s.extension));
+    const extensionSpan = openExtension - fistExtension;
+    if (extensionSpan < 0.3) {
+        throw new Error('Open hand and fist looked too similar. Keep your whole hand in view and try again.');
+    }
 
-                // Update gesture label
-                document.getElementById('gesture-text').textContent =
-                    this.gestureDetector.getGestureLabel();
-            });
+    const openPinch = median(samples.open.map(s => s.pinch));
+    const closedPinch = median(samples.pinch.map(s => s.pinch));
+    const pinchSpan = openPinch - closedPinch;
+    if (pinchSpan < 0.2) {
+        throw new Error('Pinch and open hand looked too similar. Try again with your fingers clearly apart.');
+    }
 
-            // Hand connections for visualization
-            const HAND_CONNECTIONS = [
-                [0, 1], [1, 2], [2, 3], [3, 4],
-                [0, 5], [5, 6], [6, 7], [7, 8],
-                [0, 9], [9, 10], [10, 11], [11, 12],
-                [0, 13], [13, 14], [14, 15], [15, 16],
-                [0, 17], [17, 18], [18, 19], [19, 20],
-                [5, 9], [9, 13], [13, 17]
-            ];
-
-            // Initialize camera with Ultra resolution (320x240) and no frame skips (MediaPipe does it better)
-            const camera = new Camera(video, {
-                onFrame: async () => {
-                    await hands.send({ image: video });
-                },
-                width: 320,
-                height: 240
-            });
+    const hold = samples.hold;
+    const movement = hold.slice(1).map((s, i) => Math.hypot(s.wrist.x - hold[i].wrist.x, s.wrist.y - hold[i].wrist.y));
 
-            await camera.start();
+    return sanitizeCalibration({
+        extension: { min: fistExtension + extensionSpan * 0.1, max: openExtension - extensionSpan * 0.1 },
+        pinch: { min: closedPinch + pinchSpan * 0.1, max: openPinch - pinchSpan * 0.1 },
+        jitter: median(movement)
+    });
+};
 
-            // Hide loading overlay
-            document.getElementById('loading-overlay').classList.add('hidden');
+// ============================================
+// INPUT SOURCES
+// ============================================
+// Camera tracking is the default source. ManualInputSource synthesizes the same single-hand
+// state from mouse, touch and keyboard for kiosks, CI and users without a webcam.
+//
+//   Mouse / one finger   move = hand position, a quick flick = swipe (up/down cycles colors)
+//   Wheel / Up, Down     open or close the hand (expand / contract)
+//   Ctrl+wheel / +, -    pinch (zoom); two-finger pinch on touch screens
+//   Right-drag, Shift+drag, two-finger twist, Q / E   closed-fist rotation
+//   Left / Right arrows  swipe to the previous / next pattern
+const MANUAL_FRAME_INTERVAL = 33; // Match the camera's ~30fps so smoothing feels the same
+const MANUAL_NEUTRAL_PINCH = 1 / 3; // Zoom of 1.0
+const MANUAL_FIST_OPENNESS = 0.1;
+
+class ManualInputSource {
+    constructor(element, onInput) {
+        this.element = element;
+        this.onInput = onInput;
+        this.state = {
+            openness: 0.5,
+            pinch: MANUAL_NEUTRAL_PINCH,
+            rotation: 0,
+            position: { x: 0.5, y: 0.5 }
+        };
+        this.drag = null;
+        this.touches = new Map();
+        this.twist = null;
+        this.keyRotation = 0;
+        this.pendingSwipe = null;
+        this.pendingSwipeSpeed = null;
+
+        this.handlers = {
+            pointerdown: e => this.onPointerDown(e),
+            pointermove: e => this.onPointerMove(e),
+            pointerup: e => this.onPointerUp(e),
+            pointercancel: e => this.onPointerUp(e),
+            wheel: e => this.onWheel(e),
+            contextmenu: e => e.preventDefault()
+        };
+        this.onKeyDown = e => this.handleKey(e, true);
+        this.onKeyUp = e => this.handleKey(e, false);
+    }
 
-        } catch (error) {
-            console.error('Error initializing hand tracking:', error);
-            const statusBox = document.getElementById('loading-overlay');
-            statusBox.style.background = 'rgba(20, 0, 0, 0.9)';
-            statusBox.innerHTML = `
-                <div style="text-align: center; padding: 20px;">
-                    <div style="font-size: 40px; margin-bottom: 20px;">⚠️</div>
-                    <p style="color: #ff006e; font-weight: bold; font-size: 18px; margin-bottom: 10px;">Camera Access Failed</p>
-                    <p style="color: rgba(255,255,255,0.8); margin-bottom: 20px;">${error.message || 'Access denied or insecure origin'}</p>
-                    <div style="display: flex; gap: 10px; justify-content: center;">
-                        <button onclick="window.location.reload()" style="padding: 10px 20px; border-radius: 8px; border: none; background: #00d4ff; color: white; cursor: pointer;">Retry</button>
-                    </div>
-                </div>
-            `;
+    start() {
+        for (const [type, handler] of Object.entries(this.handlers)) {
+            this.element.addEventListener(type, handler, { passive: type !== 'wheel' && type !== 'contextmenu' });
         }
+        document.addEventListener('keydown', this.onKeyDown);
+        document.addEventListener('keyup', this.onKeyUp);
+        this.timer = setInterval(() => this.emit(), MANUAL_FRAME_INTERVAL);
     }
 
-    drawConnectors(ctx, landmarks, connections, style) {
-        ctx.strokeStyle = style.color;
-        ctx.lineWidth = style.lineWidth;
-        ctx.lineCap = 'round';
+    stop() {
+        for (const [type, handler] of Object.entries(this.handlers)) {
+            this.element.removeEventListener(type, handler);
+        }
+        document.removeEventListener('keydown', this.onKeyDown);
+        document.removeEventListener('keyup', this.onKeyUp);
+        clearInterval(this.timer);
+        this.onInput({ present: false });
+    }
 
-        for (const [start, end] of connections) {
-            const startPoint = landmarks[start];
-            const endPoint = landmarks[end];
+    emit() {
+        // Any kind of turning closes the hand, since rotation only applies to a fist
+        const rotation = this.state.rotation + this.keyRotation;
+        const turning = this.drag?.turning || this.twist !== null || this.keyRotation !== 0;
+
+        this.onInput({
+            present: true,
+            openness: turning ? MANUAL_FIST_OPENNESS : this.state.openness,
+            rotation,
+            pinch: this.state.pinch,
+            position: this.state.position,
+            swipe: this.pendingSwipe,
+            swipeSpeed: this.pendingSwipeSpeed
+        });
+        this.pendingSwipe = null;
+    }
 
-            ctx.beginPath();
-            ctx.moveTo(startPoint.x * ctx.canvas.width, startPoint.y * ctx.canvas.height);
-            ctx.lineTo(endPoint.x * ctx.canvas.width, endPoint.y * ctx.canvas.height);
-            ctx.stroke();
-        }
+    // Screen coordinates to the camera's unmirrored normalized space
+    setPosition(e) {
+        const rect = this.element.getBoundingClientRect();
+        this.state.position.x = 1 - (e.clientX - rect.left) / rect.width;
+        this.state.position.y = (e.clientY - rect.top) / rect.height;
     }
 
-    drawLandmarks(ctx, landmarks, style) {
-        ctx.fillStyle = style.color;
+    onPointerDown(e) {
+        // Keep receiving the release when a flick ends outside the canvas
+        this.element.setPointerCapture(e.pointerId);
 
-        for (const landmark of landmarks) {
-            ctx.beginPath();
-            ctx.arc(
-                landmark.x * ctx.canvas.width,
-                landmark.y * ctx.canvas.height,
-                style.radius,
-                0,
-                Math.PI * 2
-            );
-            ctx.fill();
+        if (e.pointerType === 'touch') {
+            this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.touches.size === 2) {
+                this.drag = null;
+                this.twist = { ...this.measureTouches(), pinch: this.state.pinch };
+                return;
+            }
         }
+
+        this.setPosition(e);
+        this.drag = {
+            startX: e.clientX,
+            startY: e.clientY,
+            startTime: performance.now(),
+            turning: e.button === 2 || e.shiftKey
+        };
     }
 
-    setupEventListeners() {
-        // Window resize
-        window.addEventListener('resize', () => {
-            this.camera.aspect = window.innerWidth / window.innerHeight;
-            this.camera.updateProjectionMatrix();
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
-            this.particleSystem.particles.material.uniforms.pixelRatio.value =
-                Math.min(window.devicePixelRatio, 2);
-        });
+    onPointerMove(e) {
+        if (this.touches.has(e.pointerId)) {
+            this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.twist && this.touches.size === 2) {
+                const { distance, angle } = this.measureTouches();
+                this.state.pinch = Math.max(0, Math.min(2, this.twist.pinch * distance / this.twist.distance));
+                this.state.rotation = angle - this.twist.angle;
+                return;
+            }
+        }
 
-        // Pattern buttons
-        document.querySelectorAll('.pattern-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                document.querySelectorAll('.pattern-btn').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                this.particleSystem.setPattern(btn.dataset.pattern);
-            });
-        });
+        this.setPosition(e);
+        if (this.drag?.turning) {
+            this.state.rotation = (e.clientX - this.drag.startX) / this.element.clientWidth * Math.PI;
+        }
+    }
 
-        // Color picker
-        document.getElementById('color-picker').addEventListener('input', (e) => {
-            this.particleSystem.setColor(e.target.value);
-            document.querySelectorAll('.color-preset').forEach(p => p.classList.remove('active'));
-        });
+    onPointerUp(e) {
+        this.touches.delete(e.pointerId);
+        if (this.twist) {
+            if (this.touches.size < 2) {
+                this.twist = null;
+                this.state.rotation = 0;
+            }
+            return;
+        }
+        if (!this.drag) return;
+
+        // A quick flick is a swipe along its main axis
+        const dx = (e.clientX - this.drag.startX) / this.element.clientWidth;
+        const dy = (e.clientY - this.drag.startY) / this.element.clientHeight;
+        const elapsed = performance.now() - this.drag.startTime;
+        if (!this.drag.turning && Math.max(Math.abs(dx), Math.abs(dy)) > 0.15 && elapsed < 400) {
+            this.pendingSwipe = Math.abs(dx) > Math.abs(dy)
+                ? (dx > 0 ? 'right' : 'left')
+                : (dy > 0 ? 'down' : 'up');
+            // Same units as camera swipes: fractions of the frame per second
+            this.pendingSwipeSpeed = Math.max(Math.abs(dx), Math.abs(dy)) / (elapsed / 1000);
+        }
+        if (this.drag.turning) this.state.rotation = 0;
+        this.drag = null;
+    }
 
-        // Color presets
+    onWheel(e) {
+        e.preventDefault();
+        if (e.ctrlKey) {
+            // Trackpad pinch arrives as ctrl+wheel
+            this.state.pinch = Math.max(0, Math.min(2, this.state.pinch - e.deltaY * 0.005));
+        } else {
+            this.state.openness = Math.max(0, Math.min(1, this.state.openness - e.deltaY * 0.001));
+        }
+    }
+
+    handleKey(e, down) {
+        if (e.target.matches('input, textarea, select')) return;
+
+        if (e.key === 'q' || e.key === 'Q') this.keyRotation = down ? -1.5 : 0;
+        if (e.key === 'e' || e.key === 'E') this.keyRotation = down ? 1.5 : 0;
+        if (!down) return;
+
+        switch (e.key) {
+            case 'ArrowUp':
+                this.state.openness = Math.min(1, this.state.openness + 0.1);
+                break;
+            case 'ArrowDown':
+                this.state.openness = Math.max(0, this.state.openness - 0.1);
+                break;
+            case 'ArrowLeft':
+                this.pendingSwipe = 'left';
+                this.pendingSwipeSpeed = null;
+                break;
+            case 'ArrowRight':
+                this.pendingSwipe = 'right';
+                this.pendingSwipeSpeed = null;
+                break;
+            case '+':
+            case '=':
+                this.state.pinch = Math.min(2, this.state.pinch + 0.1);
+                break;
+            case '-':
+                this.state.pinch = Math.max(0, this.state.pinch - 0.1);
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    measureTouches() {
+        const [a, b] = [...this.touches.values()];
+        return {
+            distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+            angle: Math.atan2(b.y - a.y, b.x - a.x)
+        };
+    }
+}
+
+// ============================================
+// TUNING
+// ============================================
+const TUNING_STORAGE_KEY = 'magic-fingers-tuning';
+
+// CONFIG values exposed in the "Advanced" panel section
+const TUNING_CONTROLS = [
+    { key: 'morphSpeed', label: 'Morph Time (s)', min: 0.05, max: 3, step: 0.05 },
+    { key: 'rotationSpeed', label: 'Rotation Speed', min: 0, max: 0.05, step: 0.001 },
+    { key: 'gestureSmoothing', label: 'Gesture Response', min: 0.02, max: 0.5, step: 0.01 },
+    { key: 'dispersionMultiplier', label: 'Dispersion', min: 0, max: 20, step: 0.5 }
+];
+
+const TUNING_DEFAULTS = Object.fromEntries(TUNING_CONTROLS.map(({ key }) => [key, CONFIG[key]]));
+
+// ============================================
+// AUDIO ANALYSIS
+// ============================================
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'flac'];
+const AUDIO_BANDS = { bass: [20, 250], mid: [250, 2000], treble: [2000, 8000] }; // Hz
+const BEAT_THRESHOLD = 1.35;    // Bass energy over its recent average that counts as a beat
+const BEAT_MIN_INTERVAL = 0.25; // Seconds between beats (caps detection at 240 bpm)
+const BEAT_HISTORY = 60;        // Frames of bass energy the average is taken over (~1s)
+
+// Microphone or audio file through a Web Audio AnalyserNode. update() returns band levels
+// normalized against their recent peaks (so quiet and loud sources both fill 0..1) and a
+// beat pulse that jumps to 1 on each detected beat and decays, or null when idle.
+class AudioAnalyzer {
+    constructor() {
+        this.context = null;
+        this.source = null;
+        this.stream = null;
+        this.element = null;
+        this.reset();
+    }
+
+    get active() {
+        return this.source !== null;
+    }
+
+    reset() {
+        this.levels = { bass: 0, mid: 0, treble: 0, beat: 0 };
+        this.peaks = { bass: 0.05, mid: 0.05, treble: 0.05 };
+        this.bassHistory = [];
+        this.lastBeat = -Infinity;
+    }
+
+    async ensureContext() {
+        if (!this.context) {
+            this.context = new AudioContext();
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.analyser.smoothingTimeConstant = 0.6;
+            this.frequencies = new Uint8Array(this.analyser.frequencyBinCount);
+        }
+        await this.context.resume();
+    }
+
+    async startMicrophone() {
+        this.stop();
+        await this.ensureContext();
+        // Raw signal: voice processing would flatten the music
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        });
+        this.source = this.context.createMediaStreamSource(this.stream);
+        // Not routed to the speakers, which would feed back into the mic
+        this.source.connect(this.analyser);
+    }
+
+    async startFile(file) {
+        this.stop();
+        await this.ensureContext();
+        this.element = new Audio(URL.createObjectURL(file));
+        this.element.loop = true;
+        this.source = this.context.createMediaElementSource(this.element);
+        this.source.connect(this.analyser);
+        this.source.connect(this.context.destination);
+        await this.element.play();
+    }
+
+    stop() {
+        if (this.source) this.source.disconnect();
+        this.source = null;
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        if (this.element) {
+            this.element.pause();
+            URL.revokeObjectURL(this.element.src);
+        }
+        this.element = null;
+        this.reset();
+    }
+
+    update(deltaTime) {
+        if (!this.active) return null;
+
+        this.analyser.getByteFrequencyData(this.frequencies);
+        const binHz = this.context.sampleRate / this.analyser.fftSize;
+
+        for (const [band, [low, high]] of Object.entries(AUDIO_BANDS)) {
+            const start = Math.max(1, Math.floor(low / binHz));
+            const end = Math.min(this.frequencies.length, Math.ceil(high / binHz));
+            let sum = 0;
+            for (let i = start; i < end; i++) sum += this.frequencies[i];
+            const energy = sum / ((end - start) * 255);
+
+            // Peaks fall by ~20% a second so the range adapts to the source's volume
+            this.peaks[band] = Math.max(energy, this.peaks[band] * (1 - 0.2 * deltaTime), 0.05);
+            const level = energy / this.peaks[band];
+            // Quick attack, slower release
+            const response = level > this.levels[band] ? 0.6 : 0.15;
+            this.levels[band] += (level - this.levels[band]) * response;
+
+            if (band === 'bass') this.detectBeat(energy);
+        }
+
+        this.levels.beat *= Math.exp(-deltaTime * 6);
+        return this.levels;
+    }
+
+    detectBeat(energy) {
+        const history = this.bassHistory;
+        const average = history.reduce((sum, value) => sum + value, 0) / (history.length || 1);
+        history.push(energy);
+        if (history.length > BEAT_HISTORY) history.shift();
+
+        const now = this.context.currentTime;
+        if (energy > 0.1 && energy > average * BEAT_THRESHOLD && now - this.lastBeat > BEAT_MIN_INTERVAL) {
+            this.lastBeat = now;
+            this.levels.beat = 1;
+        }
+    }
+}
+
+// ============================================
+// GESTURE BINDINGS
+// ============================================
+const BINDINGS_STORAGE_KEY = 'magic-fingers-bindings';
+
+// Gesture signals with the input range that maps onto a binding's min..max.
+// Rotation only counts while the hand is a fist, so tilting an open hand doesn't spin things;
+// hands distance only exists with two hands up; swipe is an event rather than a value
+// (horizontal only: vertical swipes always cycle the color palette).
+const GESTURE_SIGNALS = {
+    openness: {
+        label: 'Hand openness', min: 0, max: 1,
+        read: g => g.twoHands ? g.hands.left.openness : g.openness
+    },
+    pinch: { label: 'Pinch', min: 0, max: 2, read: g => g.pinch },
+    rotation: {
+        label: 'Fist rotation', min: -Math.PI / 2, max: Math.PI / 2,
+        read: g => g.present && g.openness < 0.3 ? g.rotation : 0
+    },
+    wristX: { label: 'Wrist X', min: 0, max: 1, read: g => 1 - g.position.x }, // Screen left to right
+    wristY: { label: 'Wrist Y', min: 0, max: 1, read: g => 1 - g.position.y }, // Screen bottom to top
+    handsDistance: {
+        label: 'Hands distance', min: 0, max: 1,
+        read: g => g.twoHands ? g.handsDistance : null
+    },
+    swipe: { label: 'Swipe left/right', event: true },
+    // Audio bands take part only while audio-reactive mode is running
+    audioBass: { label: 'Audio bass', min: 0, max: 1, read: (g, audio) => audio ? audio.bass : null },
+    audioMid: { label: 'Audio mid', min: 0, max: 1, read: (g, audio) => audio ? audio.mid : null },
+    audioTreble: { label: 'Audio treble', min: 0, max: 1, read: (g, audio) => audio ? audio.treble : null },
+    audioBeat: { label: 'Audio beat', min: 0, max: 1, read: (g, audio) => audio ? audio.beat : null }
+};
+
+// Parameters a signal can drive, each with its resting value and slider limits.
+// Swiping on 'morph' switches pattern; on other params it steps the value, wrapping around.
+const GESTURE_PARAMS = {
+    dispersion: { label: 'Dispersion', neutral: 0, min: -2, max: 2 },       // x dispersionMultiplier
+    zoom: { label: 'Zoom', neutral: 1, min: 0.1, max: 5 },
+    hue: { label: 'Hue shift (°)', neutral: 0, min: -360, max: 360 },
+    rotationSpeed: { label: 'Rotation speed', neutral: 1, min: 0, max: 10 }, // x rotationSpeed
+    particleSize: { label: 'Particle size', neutral: 1, min: 0.1, max: 5 },  // x particle size
+    roll: { label: 'Roll (rad)', neutral: 0, min: -Math.PI, max: Math.PI },
+    morph: { label: 'Morph / pattern', neutral: null, min: 0, max: 1 }
+};
+
+const GESTURE_CURVES = {
+    linear: { label: 'Linear', apply: t => t },
+    easeIn: { label: 'Ease in', apply: t => t * t },
+    easeOut: { label: 'Ease out', apply: t => 1 - (1 - t) * (1 - t) },
+    smooth: { label: 'S-curve', apply: t => t * t * (3 - 2 * t) },
+    mirror: { label: 'Mirror (centre = min)', apply: t => Math.abs(t * 2 - 1) }
+};
+
+const SWIPE_STEPS = 8; // Swipes to cycle a param through its range
+// Swipes up to this speed (camera frames per second) take one step; faster ones
+// take proportionally bigger steps, up to SWIPE_MAX_STRENGTH
+const SWIPE_REFERENCE_SPEED = 2.5;
+const SWIPE_MAX_STRENGTH = 3;
+
+// Reproduces the original hardwired behaviour
+const DEFAULT_BINDINGS = [
+    { signal: 'openness', param: 'dispersion', min: -1, max: 1, curve: 'linear', invert: false },
+    { signal: 'pinch', param: 'zoom', min: 0.5, max: 3.5, curve: 'linear', invert: false },
+    { signal: 'handsDistance', param: 'zoom', min: 0.3, max: 2.8, curve: 'linear', invert: false },
+    { signal: 'rotation', param: 'roll', min: -Math.PI / 2, max: Math.PI / 2, curve: 'linear', invert: true },
+    { signal: 'rotation', param: 'rotationSpeed', min: 1, max: 5.7, curve: 'mirror', invert: false },
+    { signal: 'swipe', param: 'morph', min: 0, max: 1, curve: 'linear', invert: false }
+];
+
+const MAX_BINDINGS = 16;
+
+// Validate untrusted binding lists (storage, presets), dropping unusable entries
+const sanitizeBindings = (data) => {
+    if (!Array.isArray(data)) return null;
+
+    return data.slice(0, MAX_BINDINGS)
+        .filter(b => b && GESTURE_SIGNALS[b.signal] && GESTURE_PARAMS[b.param])
+        .map(b => {
+            const param = GESTURE_PARAMS[b.param];
+            return {
+                signal: b.signal,
+                param: b.param,
+                min: clampNumber(b.min, param.min, param.max, param.min),
+                max: clampNumber(b.max, param.min, param.max, param.max),
+                curve: GESTURE_CURVES[b.curve] ? b.curve : 'linear',
+                invert: !!b.invert
+            };
+        });
+};
+
+// Turns the gesture state into parameter values. Later bindings win when several
+// drive the same param; a param with no live binding rests at its neutral value.
+class GestureMapper {
+    constructor(bindings = DEFAULT_BINDINGS) {
+        this.setBindings(bindings);
+    }
+
+    setBindings(bindings) {
+        const previous = this.bindings || [];
+        const previousValues = this.swipeValues || [];
+        this.bindings = bindings.map(b => ({ ...b }));
+        // Values stepped by swipes, per binding. Editing a binding's range or curve keeps
+        // its stepped value; only a different signal or param starts over.
+        this.swipeValues = this.bindings.map((b, i) => {
+            const old = previous[i];
+            if (!old || old.signal !== b.signal || old.param !== b.param) return b.min;
+            const low = Math.min(b.min, b.max), high = Math.max(b.min, b.max);
+            return Math.max(low, Math.min(high, previousValues[i]));
+        });
+    }
+
+    evaluate(gesture, audio = null) {
+        const params = {};
+        for (const [name, param] of Object.entries(GESTURE_PARAMS)) params[name] = param.neutral;
+
+        this.bindings.forEach((binding, i) => {
+            const signal = GESTURE_SIGNALS[binding.signal];
+            if (signal.event) {
+                if (binding.param !== 'morph') params[binding.param] = this.swipeValues[i];
+                return;
+            }
+
+            const raw = signal.read(gesture, audio);
+            if (raw === null) return;
+
+            let t = Math.max(0, Math.min(1, (raw - signal.min) / (signal.max - signal.min)));
+            if (binding.invert) t = 1 - t;
+            t = GESTURE_CURVES[binding.curve].apply(t);
+            params[binding.param] = binding.min + (binding.max - binding.min) * t;
+        });
+        return params;
+    }
+
+    // Steps swipe-bound params; returns how many patterns to move (positive is next).
+    // Faster swipes step further and can skip patterns.
+    swipe(direction, speed = SWIPE_REFERENCE_SPEED) {
+        const strength = Math.max(1, Math.min(SWIPE_MAX_STRENGTH, speed / SWIPE_REFERENCE_SPEED));
+        let patternStep = 0;
+        this.bindings.forEach((binding, i) => {
+            if (binding.signal !== 'swipe') return;
+
+            const step = (direction === 'right' ? 1 : -1) * (binding.invert ? -1 : 1);
+            if (binding.param === 'morph') {
+                patternStep += step;
+                return;
+            }
+
+            const range = binding.max - binding.min;
+            const offset = this.swipeValues[i] - binding.min + step * strength * range / SWIPE_STEPS;
+            this.swipeValues[i] = binding.min + (range ? ((offset % range) + range) % range : 0);
+        });
+        return Math.sign(patternStep) * Math.round(strength);
+    }
+}
+
+// ============================================
+// PRESETS
+// ============================================
+const PRESET_VERSION = 1;
+const PRESET_STORAGE_KEY = 'magic-fingers-presets';
+const SESSION_STORAGE_KEY = 'magic-fingers-session';
+const PRESET_HASH_PREFIX = '#preset=';
+
+const clampNumber = (value, min, max, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+};
+
+// Validate untrusted preset data (files, URLs, storage), dropping anything unusable
+const sanitizePreset = (data) => {
+    if (!data || typeof data !== 'object') throw new Error('Preset is not an object');
+
+    const preset = { version: PRESET_VERSION };
+    if (typeof data.pattern === 'string' && PATTERNS[data.pattern]) preset.pattern = data.pattern;
+    if (typeof data.text === 'string' && data.text.trim()) {
+        preset.text = data.text.slice(0, 120);
+        const options = data.textOptions || {};
+        preset.textOptions = {
+            fontFamily: typeof options.fontFamily === 'string' ? options.fontFamily : TEXT_DEFAULTS.fontFamily,
+            fontWeight: typeof options.fontWeight === 'string' ? options.fontWeight : TEXT_DEFAULTS.fontWeight,
+            depth: clampNumber(options.depth, 0, 4, TEXT_DEFAULTS.depth)
+        };
+    }
+    if (typeof data.color === 'string' && /^#[0-9a-f]{6}$/i.test(data.color)) preset.color = data.color;
+    if (data.particleSize !== undefined) preset.particleSize = clampNumber(data.particleSize, 1, 10, CONFIG.particleSize);
+    if (data.particleCount !== undefined) {
+        preset.particleCount = clampNumber(data.particleCount, CONFIG.minParticleCount, CONFIG.maxPhysicsParticleCount, CONFIG.particleCount);
+    }
+    for (const { key, min, max } of TUNING_CONTROLS) {
+        if (key !== 'gestureSmoothing' && data[key] !== undefined) {
+            preset[key] = clampNumber(data[key], min, max, CONFIG[key]);
+        }
+    }
+    if (data.palette) preset.palette = sanitizePalette(data.palette);
+    if (data.effects) preset.effects = sanitizeEffects(data.effects);
+    if (PARTICLE_SPRITES[data.sprite]) preset.sprite = data.sprite;
+    if (typeof data.sizeAttenuation === 'boolean') preset.sizeAttenuation = data.sizeAttenuation;
+    const bindings = sanitizeBindings(data.bindings);
+    if (bindings) preset.bindings = bindings;
+    return preset;
+};
+
+// URL-safe base64 of the preset JSON, for share links
+const encodePreset = (preset) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(preset));
+    let binary = '';
+    bytes.forEach(byte => binary += String.fromCharCode(byte));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decodePreset = (encoded) => {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return sanitizePreset(JSON.parse(new TextDecoder().decode(bytes)));
+};
+
+const readStorage = (key, fallback) => {
+    try {
+        const value = localStorage.getItem(key);
+        return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+        console.warn(`Ignoring unreadable ${key}:`, error);
+        return fallback;
+    }
+};
+
+const writeStorage = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not save ${key}:`, error);
+    }
+};
+
+// Saves a blob as a file. The URL outlives the click, since revoking it straight away
+// can cancel the download in some browsers.
+const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 30000);
+};
+
+// ============================================
+// POST-PROCESSING
+// ============================================
+const EFFECTS_STORAGE_KEY = 'magic-fingers-effects';
+
+// Each effect has a switch and one intensity slider. The pipeline as a whole is off
+// until the user turns it on; these say which effects it starts with.
+const EFFECT_CONTROLS = [
+    { key: 'bloom', label: 'Bloom', min: 0, max: 3, step: 0.05, intensity: 0.9, enabled: true },
+    { key: 'trails', label: 'Motion Trails', min: 0.5, max: 0.97, step: 0.01, intensity: 0.8, enabled: false },
+    { key: 'chromatic', label: 'Chromatic Aberration', min: 0, max: 0.01, step: 0.0005, intensity: 0.002, enabled: false },
+    { key: 'toneMapping', label: 'Tone Mapping (exposure)', min: 0.2, max: 3, step: 0.05, intensity: 1, enabled: true }
+];
+
+// Below this frame rate for EFFECTS_WATCHDOG_SECONDS, effects switch themselves off
+// (and stay off), which is what keeps low-end devices smooth
+const EFFECTS_MIN_FPS = 30;
+const EFFECTS_WATCHDOG_SECONDS = 4;
+
+// Fills in defaults for anything missing or invalid
+const sanitizeEffects = (data) => {
+    if (!data || typeof data !== 'object') data = {};
+    const effects = { enabled: data.enabled === true };
+    for (const { key, min, max, intensity, enabled } of EFFECT_CONTROLS) {
+        const effect = data[key] || {};
+        effects[key] = {
+            enabled: typeof effect.enabled === 'boolean' ? effect.enabled : enabled,
+            intensity: clampNumber(effect.intensity, min, max, intensity)
+        };
+    }
+    return effects;
+};
+
+// Bloom, motion trails, chromatic aberration and tone mapping through an EffectComposer.
+// The composer's buffers are half float, so the particle shader's over-bright additive
+// glow survives until tone mapping instead of clipping per particle.
+class PostProcessing {
+    constructor(renderer, scene, camera) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.displayBackground = new THREE.Color();
+        this.backgroundRGB = {};
+
+        this.composer = new EffectComposer(renderer);
+        this.afterimagePass = new AfterimagePass();
+        this.bloomPass = new UnrealBloomPass(new THREE.Vector2(window.innerWidth, window.innerHeight), 1, 0.4, 0.15);
+        this.chromaticPass = new ShaderPass(RGBShiftShader);
+        this.composer.addPass(new RenderPass(scene, camera));
+        // Trails go before bloom so they glow too
+        this.composer.addPass(this.afterimagePass);
+        this.composer.addPass(this.bloomPass);
+        this.composer.addPass(this.chromaticPass);
+        this.composer.addPass(new OutputPass());
+        this.active = false;
+    }
+
+    configure(effects) {
+        const { bloom, trails, chromatic, toneMapping } = effects;
+        this.afterimagePass.enabled = trails.enabled;
+        this.afterimagePass.uniforms.damp.value = trails.intensity;
+        this.bloomPass.enabled = bloom.enabled;
+        this.bloomPass.strength = bloom.intensity;
+        this.chromaticPass.enabled = chromatic.enabled;
+        this.chromaticPass.uniforms.amount.value = chromatic.intensity;
+        this.toneMapping = toneMapping.enabled ? THREE.ACESFilmicToneMapping : THREE.NoToneMapping;
+        this.renderer.toneMappingExposure = toneMapping.intensity;
+        this.active = effects.enabled && EFFECT_CONTROLS.some(({ key }) => effects[key].enabled);
+    }
+
+    setSize(width, height, pixelRatio) {
+        this.composer.setPixelRatio(pixelRatio);
+        this.composer.setSize(width, height);
+    }
+
+    render(deltaTime) {
+        // The particle shader writes display values with no color management, so the pipeline
+        // stays in display space: the background goes in as its sRGB values and the output
+        // pass only tone maps, keeping colors the same as without effects
+        const { renderer, scene } = this;
+        const background = scene.background;
+        const outputColorSpace = renderer.outputColorSpace;
+        const { r, g, b } = background.getRGB(this.backgroundRGB, THREE.SRGBColorSpace);
+        scene.background = this.displayBackground.setRGB(r, g, b, THREE.LinearSRGBColorSpace);
+        renderer.outputColorSpace = THREE.LinearSRGBColorSpace;
+        renderer.toneMapping = this.toneMapping;
+
+        this.composer.render(deltaTime);
+
+        scene.background = background;
+        renderer.outputColorSpace = outputColorSpace;
+        renderer.toneMapping = THREE.NoToneMapping;
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+// Output sizes offered for video and GIF export; null follows the window
+const EXPORT_RESOLUTIONS = {
+    window: { label: 'Window size', size: null },
+    '720p': { label: '720p', size: [1280, 720] },
+    '1080p': { label: '1080p', size: [1920, 1080] },
+    square: { label: 'Square 1080', size: [1080, 1080] },
+    vertical: { label: 'Vertical 1080×1920', size: [1080, 1920] }
+};
+const GIF_MAX_SIZE = 640; // Longest side; GIFs get huge quickly
+const GIF_MAX_FPS = 30;   // Browsers don't honour shorter frame delays
+const RECORDER_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const exportFilename = (extension) =>
+    `magic-fingers-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+
+// Stills; null renders the window at twice its size
+const SCREENSHOT_RESOLUTIONS = {
+    window2x: { label: 'Window ×2', size: null },
+    '4k': { label: '4K (3840×2160)', size: [3840, 2160] },
+    '8k': { label: '8K (7680×4320)', size: [7680, 4320] },
+    square4k: { label: 'Square 4096', size: [4096, 4096] },
+    poster: { label: 'Poster 4K (2160×3840)', size: [2160, 3840] }
+};
+const SCREENSHOT_TILE_SIZE = 1024;
+
+// Renders the current frame at any resolution by splitting it into tiles with
+// camera.setViewOffset, so the output isn't limited by the GPU's maximum canvas size.
+// Everything in the scene blends additively (the stars nearly so), which makes the
+// light a pixel receives independent of what's behind it. Tiles are therefore rendered
+// over black and the background is added on the CPU, or left out: for transparent
+// output the brightest channel becomes alpha so the PNG composites like the original.
+// Post-processing is skipped: bloom and trails can't be stitched across tiles.
+async function renderTiled(renderer, scene, camera, width, height, { background, padding = 0, beforeTile }) {
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const context = output.getContext('2d');
+    if (!context) throw new Error('the image is too large for this browser');
+
+    const tileSize = Math.min(SCREENSHOT_TILE_SIZE, renderer.capabilities.maxTextureSize - padding * 2);
+    const target = new THREE.WebGLRenderTarget(1, 1, { samples: 4 });
+    const sceneBackground = scene.background;
+    const clearColor = renderer.getClearColor(new THREE.Color());
+    const clearAlpha = renderer.getClearAlpha();
+    const aspect = camera.aspect;
+    const hex = background?.getHex(); // sRGB, like the canvas
+    const backgroundRGB = background ? [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255] : null;
+
+    scene.background = null;
+    renderer.setClearColor(0x000000, 0);
+    camera.aspect = width / height;
+
+    try {
+        for (let y = 0; y < height; y += tileSize) {
+            for (let x = 0; x < width; x += tileSize) {
+                const tileWidth = Math.min(tileSize, width - x);
+                const tileHeight = Math.min(tileSize, height - y);
+                const targetWidth = tileWidth + padding * 2;
+                const targetHeight = tileHeight + padding * 2;
+
+                target.setSize(targetWidth, targetHeight);
+                camera.setViewOffset(width, height, x - padding, y - padding, targetWidth, targetHeight);
+                beforeTile?.(targetHeight);
+                renderer.setRenderTarget(target);
+                renderer.render(scene, camera);
+
+                const pixels = new Uint8Array(targetWidth * targetHeight * 4);
+                renderer.readRenderTargetPixels(target, 0, 0, targetWidth, targetHeight, pixels);
+                const tile = context.createImageData(tileWidth, tileHeight);
+                for (let row = 0; row < tileHeight; row++) {
+                    // WebGL rows run bottom-up
+                    const source = ((targetHeight - 1 - padding - row) * targetWidth + padding) * 4;
+                    for (let col = 0; col < tileWidth; col++) {
+                        const i = source + col * 4;
+                        const o = (row * tileWidth + col) * 4;
+                        const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+                        if (backgroundRGB) {
+                            tile.data[o] = Math.min(255, r + backgroundRGB[0]);
+                            tile.data[o + 1] = Math.min(255, g + backgroundRGB[1]);
+                            tile.data[o + 2] = Math.min(255, b + backgroundRGB[2]);
+                            tile.data[o + 3] = 255;
+                        } else {
+                            const alpha = Math.max(r, g, b);
+                            const scale = alpha > 0 ? 255 / alpha : 0;
+                            tile.data[o] = r * scale;
+                            tile.data[o + 1] = g * scale;
+                            tile.data[o + 2] = b * scale;
+                            tile.data[o + 3] = alpha;
+                        }
+                    }
+                }
+                context.putImageData(tile, x, y);
+            }
+            // Let the page breathe between rows of tiles
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    } finally {
+        renderer.setRenderTarget(null);
+        target.dispose();
+        camera.clearViewOffset();
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+        scene.background = sceneBackground;
+        renderer.setClearColor(clearColor, clearAlpha);
+    }
+    return output;
+}
+
+// Frame-exact WebM through WebCodecs: every frame gets its timestamp from its index,
+// so how long a frame took to render never shows up in the video
+class WebMEncoder {
+    static get supported() {
+        return typeof VideoEncoder !== 'undefined';
+    }
+
+    async init(width, height, fps) {
+        this.fps = fps;
+        this.frameCount = 0;
+        this.error = null;
+
+        const candidates = [
+            { codec: 'vp09.00.10.08', muxerCodec: 'V_VP9' },
+            { codec: 'vp8', muxerCodec: 'V_VP8' }
+        ];
+        const config = { width, height, framerate: fps, bitrate: Math.round(width * height * fps * 0.1) };
+        let chosen = null;
+        for (const candidate of candidates) {
+            const { supported } = await VideoEncoder.isConfigSupported({ ...config, codec: candidate.codec });
+            if (supported) {
+                chosen = candidate;
+                break;
+            }
+        }
+        if (!chosen) throw new Error('This browser cannot encode WebM video');
+
+        this.muxer = new Muxer({
+            target: new ArrayBufferTarget(),
+            video: { codec: chosen.muxerCodec, width, height, frameRate: fps }
+        });
+        this.encoder = new VideoEncoder({
+            output: (chunk, meta) => this.muxer.addVideoChunk(chunk, meta),
+            error: (error) => this.error = error
+        });
+        this.encoder.configure({ ...config, codec: chosen.codec });
+    }
+
+    async addFrame(canvas) {
+        if (this.error) throw this.error;
+        const duration = 1e6 / this.fps;
+        const frame = new VideoFrame(canvas, { timestamp: this.frameCount * duration, duration });
+        // A keyframe every two seconds keeps the file seekable
+        this.encoder.encode(frame, { keyFrame: this.frameCount % (this.fps * 2) === 0 });
+        frame.close();
+        this.frameCount++;
+
+        // Don't let frames pile up faster than the encoder can take them
+        while (this.encoder.encodeQueueSize > 4) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+
+    async finish() {
+        await this.encoder.flush();
+        this.encoder.close();
+        this.muxer.finalize();
+        return new Blob([this.muxer.target.buffer], { type: 'video/webm' });
+    }
+
+    // Safe to call at any point, including after finish()
+    dispose() {
+        if (this.encoder && this.encoder.state !== 'closed') this.encoder.close();
+        this.encoder = null;
+        this.muxer = null;
+    }
+}
+
+// Animated GIF with a fresh 256 color palette per frame
+class GifEncoder {
+    init(width, height, fps) {
+        const scale = Math.min(1, GIF_MAX_SIZE / Math.max(width, height));
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = Math.round(width * scale);
+        this.canvas.height = Math.round(height * scale);
+        this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+        this.delay = Math.round(1000 / Math.min(fps, GIF_MAX_FPS));
+        this.gif = GIFEncoder();
+    }
+
+    async addFrame(source) {
+        const { width, height } = this.canvas;
+        this.context.drawImage(source, 0, 0, width, height);
+        const { data } = this.context.getImageData(0, 0, width, height);
+        const palette = quantize(data, 256);
+        this.gif.writeFrame(applyPalette(data, palette), width, height, { palette, delay: this.delay });
+    }
+
+    async finish() {
+        this.gif.finish();
+        return new Blob([this.gif.bytes()], { type: 'image/gif' });
+    }
+
+    dispose() {
+        // Frees the readback canvas's memory right away
+        if (this.canvas) this.canvas.width = this.canvas.height = 0;
+        this.gif = null;
+    }
+}
+
+// ============================================
+// MAIN APPLICATION
+// ============================================
+class App {
+    constructor() {
+        this.init();
+        this.setupEventListeners();
+        this.setupTuning();
+        this.setupEffects();
+        this.setupBindings();
+        this.setupPresets();
+        this.setupGestureRecording();
+        this.setupCustomGestures();
+        this.setupCalibration();
+        this.setupAudio();
+        this.setupExport();
+        this.setupInputSource();
+        this.animate();
+    }
+
+    init() {
+        // Scene
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x0a0a0f);
+
+        // Camera
+        this.camera = new THREE.PerspectiveCamera(
+            60,
+            window.innerWidth / window.innerHeight,
+            0.1,
+            1000
+        );
+        this.camera.position.z = 20;
+
+        // Renderer
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        document.getElementById('canvas-container').appendChild(this.renderer.domElement);
+
+        // Controls
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.05;
+        this.controls.enablePan = false;
+        this.controls.minDistance = 10;
+        this.controls.maxDistance = 50;
+
+        // Particle System
+        this.particleSystem = new ParticleSystem(this.scene, this.renderer, this.camera);
+
+        // Post-processing (optional, off by default)
+        this.effects = sanitizeEffects(readStorage(EFFECTS_STORAGE_KEY, null));
+        this.postProcessing = new PostProcessing(this.renderer, this.scene, this.camera);
+        this.postProcessing.configure(this.effects);
+        this.effectsWatchdog = { slowTime: 0, armed: true, fired: false };
+
+        // Gesture Detector
+        this.calibration = sanitizeCalibration(readStorage(CALIBRATION_STORAGE_KEY, null));
+        this.calibrationRun = null;
+        this.gestureDetector = new GestureDetector(this.calibration);
+        this.gestureRecorder = new GestureRecorder();
+        this.gestureReplay = null;
+        this.gestureMapper = new GestureMapper(
+            sanitizeBindings(readStorage(BINDINGS_STORAGE_KEY, null)) || DEFAULT_BINDINGS
+        );
+        this.gestureClassifier = GestureClassifier.fromJSON(readStorage(CUSTOM_GESTURE_STORAGE_KEY, []));
+        this.customGesture = { name: null, since: 0, fired: false };
+        this.gestureCapture = null;
+        this.audioAnalyzer = new AudioAnalyzer();
+        this.audioReactivity = 1;
+        this.manualInput = new ManualInputSource(this.renderer.domElement, (input) => this.handleManualInput(input));
+        this.inputSource = 'camera';
+
+        // Clock
+        this.clock = new THREE.Clock();
+
+        // Add ambient particles/stars
+        this.addBackgroundStars();
+    }
+
+    addBackgroundStars() {
+        const starGeometry = new THREE.BufferGeometry();
+        const starPositions = new Float32Array(2000 * 3);
+
+        for (let i = 0; i < 2000; i++) {
+            starPositions[i * 3] = (Math.random() - 0.5) * 200;
+            starPositions[i * 3 + 1] = (Math.random() - 0.5) * 200;
+            starPositions[i * 3 + 2] = (Math.random() - 0.5) * 200;
+        }
+
+        starGeometry.setAttribute('position', new THREE.BufferAttribute(starPositions, 3));
+
+        const starMaterial = new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 0.5,
+            transparent: true,
+            opacity: 0.6
+        });
+
+        this.stars = new THREE.Points(starGeometry, starMaterial);
+        this.scene.add(this.stars);
+    }
+
+    async initHandTracking() {
+        const video = document.getElementById('webcam');
+        this.handTrackingStarted = true;
+
+        const tracker = new HandTracker(video, (results) => this.handleHandResults(results));
+        this.handTracker = tracker;
+        try {
+            await tracker.start();
+
+            // Hide loading overlay
+            document.getElementById('loading-overlay').classList.add('hidden');
+
+        } catch (error) {
+            // Switched to manual input while starting
+            if (tracker !== this.handTracker) return;
+            console.error('Error initializing hand tracking:', error);
+
+            // Keep the app usable without a webcam unless the user picked the camera explicitly
+            if (!this.cameraRequested) {
+                document.getElementById('loading-overlay').classList.add('hidden');
+                this.setInputSource('manual');
+                this.showStatus('Camera unavailable, using mouse, touch and keyboard', true);
+                return;
+            }
+
+            const statusBox = document.getElementById('loading-overlay');
+            statusBox.style.background = 'rgba(20, 0, 0, 0.9)';
+            statusBox.innerHTML = `
+                <div style="text-align: center; padding: 20px;">
+                    <div style="font-size: 40px; margin-bottom: 20px;">⚠️</div>
+                    <p style="color: #ff006e; font-weight: bold; font-size: 18px; margin-bottom: 10px;">Camera Access Failed</p>
+                    <p style="color: rgba(255,255,255,0.8); margin-bottom: 20px;">${error.message || 'Access denied or insecure origin'}</p>
+                    <div style="display: flex; gap: 10px; justify-content: center;">
+                        <button onclick="window.location.reload()" style="padding: 10px 20px; border-radius: 8px; border: none; background: #00d4ff; color: white; cursor: pointer;">Retry</button>
+                    </div>
+                </div>
+            `;
+        }
+    }
+
+    // ?input=manual starts without touching the camera (kiosks, CI, no webcam)
+    setupInputSource() {
+        const select = document.getElementById('input-source-select');
+        const requested = new URLSearchParams(window.location.search).get('input');
+
+        select.addEventListener('change', () => this.setInputSource(select.value));
+
+        if (requested === 'manual') {
+            document.getElementById('loading-overlay').classList.add('hidden');
+            this.setInputSource('manual');
+        } else {
+            this.initHandTracking();
+        }
+    }
+
+    setInputSource(source) {
+        if (source === this.inputSource) return;
+        this.inputSource = source;
+        document.getElementById('input-source-select').value = source;
+
+        // Mouse drags belong to the synthetic hand while manual input is active
+        this.controls.enabled = source !== 'manual';
+
+        if (source === 'manual') {
+            this.manualInput.start();
+            // Release the camera and the tracking worker; they restart on switching back
+            if (this.handTracker) {
+                this.handTracker.stop();
+                this.handTracker = null;
+                this.handTrackingStarted = false;
+            }
+        } else {
+            this.manualInput.stop();
+            if (!this.handTrackingStarted) {
+                this.cameraRequested = true;
+                this.initHandTracking();
+            }
+        }
+    }
+
+    handleManualInput(input) {
+        if (this.gestureReplay) return;
+
+        this.gestureDetector.processInput(input);
+        document.getElementById('gesture-text').textContent =
+            this.gestureDetector.getGestureLabel();
+    }
+
+    handleHandResults(results) {
+        this.drawHandPreview(results);
+
+        // A running replay owns the detector; live frames only update the preview
+        if (this.gestureReplay || this.inputSource !== 'camera') return;
+
+        this.gestureRecorder.capture(results);
+        this.processGestures(results);
+    }
+
+    processGestures(results, timestamp) {
+        // Process gestures
+        this.gestureDetector.processResults(results, timestamp);
+        if (this.calibrationRun) this.sampleCalibration();
+        const customName = this.recognizeCustomGesture();
+
+        // Update gesture label
+        document.getElementById('gesture-text').textContent = customName
+            ? `✨ ${customName}`
+            : this.gestureDetector.getGestureLabel();
+    }
+
+    // Samples while a capture runs, otherwise fires the bound action once per held pose
+    recognizeCustomGesture() {
+        const hand = this.gestureDetector.primaryHand;
+        const vector = hand && normalizeLandmarks(hand.landmarks, hand.side);
+
+        if (this.gestureCapture) {
+            if (vector && performance.now() >= this.gestureCapture.startAt) {
+                this.gestureCapture.samples.push(vector);
+                if (this.gestureCapture.samples.length >= CUSTOM_GESTURE_SAMPLES) this.finishGestureCapture();
+            }
+            return null;
+        }
+
+        const gesture = vector && this.gestureClassifier.classify(vector);
+        const name = gesture ? gesture.name : null;
+        const now = performance.now();
+
+        if (name !== this.customGesture.name) {
+            this.customGesture = { name, since: now, fired: false };
+        } else if (gesture && !this.customGesture.fired && now - this.customGesture.since >= CUSTOM_GESTURE_HOLD_MS) {
+            this.customGesture.fired = true;
+            this.runGestureAction(gesture.action);
+        }
+        return name;
+    }
+
+    runGestureAction(action) {
+        const [type, value] = action.split(/:(.*)/);
+        if (type === 'pattern' && PATTERN_INFO[value]) {
+            this.selectPattern(value);
+        } else if (type === 'color') {
+            const picker = document.getElementById('color-picker');
+            picker.value = value;
+            picker.dispatchEvent(new Event('input'));
+        }
+    }
+
+    drawHandPreview(results) {
+        const video = document.getElementById('webcam');
+        const webcamCanvas = document.getElementById('webcam-canvas');
+        const ctx = webcamCanvas.getContext('2d');
+
+        // Draw to preview canvas
+        webcamCanvas.width = video.videoWidth || 320;
+        webcamCanvas.height = video.videoHeight || 240;
+        ctx.save();
+        ctx.clearRect(0, 0, webcamCanvas.width, webcamCanvas.height);
+        if (results.image) {
+            ctx.drawImage(results.image, 0, 0, webcamCanvas.width, webcamCanvas.height);
+        }
+
+        // Draw hand landmarks
+        if (results.multiHandLandmarks) {
+            for (const landmarks of results.multiHandLandmarks) {
+                this.drawConnectors(ctx, landmarks, HAND_CONNECTIONS, { color: '#00d4ff', lineWidth: 2 });
+                this.drawLandmarks(ctx, landmarks, { color: '#ff006e', radius: 3 });
+            }
+        }
+        ctx.restore();
+    }
+
+    drawConnectors(ctx, landmarks, connections, style) {
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.lineWidth;
+        ctx.lineCap = 'round';
+
+        for (const [start, end] of connections) {
+            const startPoint = landmarks[start];
+            const endPoint = landmarks[end];
+
+            ctx.beginPath();
+            ctx.moveTo(startPoint.x * ctx.canvas.width, startPoint.y * ctx.canvas.height);
+            ctx.lineTo(endPoint.x * ctx.canvas.width, endPoint.y * ctx.canvas.height);
+            ctx.stroke();
+        }
+    }
+
+    drawLandmarks(ctx, landmarks, style) {
+        ctx.fillStyle = style.color;
+
+        for (const landmark of landmarks) {
+            ctx.beginPath();
+            ctx.arc(
+                landmark.x * ctx.canvas.width,
+                landmark.y * ctx.canvas.height,
+                style.radius,
+                0,
+                Math.PI * 2
+            );
+            ctx.fill();
+        }
+    }
+
+    setupEventListeners() {
+        // Window resize
+        window.addEventListener('resize', () => this.resizeRenderer());
+
+        // Pattern buttons (rebuilt whenever a pattern pack registers more)
+        this.buildPatternGrid();
+        patternListeners.push(() => this.buildPatternGrid());
+
+        // Color picker
+        document.getElementById('color-picker').addEventListener('input', (e) => {
+            this.particleSystem.setColor(e.target.value);
+            document.querySelectorAll('.color-preset').forEach(p => p.classList.remove('active'));
+        });
+
+        // Color presets
         document.querySelectorAll('.color-preset').forEach(preset => {
             preset.addEventListener('click', () => {
                 const color = preset.dataset.color;
@@ -1136,196 +3746,1517 @@ class App {
             });
         });
 
-        // Custom Text
-        const textInput = document.getElementById('custom-text-input');
-        const applyBtn = document.getElementById('apply-text-btn');
+        // Palette
+        const paletteMode = document.getElementById('palette-mode');
+        for (const [mode, { label }] of Object.entries(PALETTE_MODES)) {
+            paletteMode.add(new Option(label, mode));
+        }
+        const gradientAxis = document.getElementById('gradient-axis');
+        for (const [axis, label] of Object.entries(GRADIENT_AXES)) {
+            gradientAxis.add(new Option(label, axis));
+        }
+        this.syncPaletteControls();
+
+        const paletteControls = ['palette-mode', 'gradient-axis', 'gradient-stops', 'gradient-color-2', 'gradient-color-3'];
+        paletteControls.forEach(id => document.getElementById(id).addEventListener('input', () => {
+            this.particleSystem.setPalette({
+                mode: paletteMode.value,
+                colors: [document.getElementById('gradient-color-2').value, document.getElementById('gradient-color-3').value],
+                stops: parseInt(document.getElementById('gradient-stops').value),
+                axis: gradientAxis.value
+            });
+            this.syncPaletteControls();
+        }));
+
+        // Custom Text (Enter applies, Shift+Enter adds a line)
+        const textInput = document.getElementById('custom-text-input');
+        const applyBtn = document.getElementById('apply-text-btn');
+        const textControls = ['text-font-family', 'text-font-weight', 'text-depth'].map(id => document.getElementById(id));
+
+        const getTextOptions = () => ({
+            fontFamily: textControls[0].value,
+            fontWeight: textControls[1].value,
+            depth: parseFloat(textControls[2].value)
+        });
+
+        const applyCustomText = () => {
+            const text = textInput.value.trim();
+            if (text) {
+                this.particleSystem.setTextPattern(text, getTextOptions());
+                this.highlightPattern(null);
+                // Highlight button
+                applyBtn.style.transform = 'scale(1.2)';
+                setTimeout(() => applyBtn.style.transform = 'scale(1)', 200);
+            }
+        };
+
+        applyBtn.addEventListener('click', applyCustomText);
+        textInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                applyCustomText();
+            }
+        });
+
+        // Re-render the text on screen when its styling changes
+        textControls.forEach(control => control.addEventListener('change', () => {
+            document.getElementById('text-depth-value').textContent = textControls[2].value;
+            if (this.particleSystem.currentText) {
+                this.particleSystem.setTextPattern(this.particleSystem.currentText, getTextOptions());
+            }
+        }));
+        textControls[2].addEventListener('input', () => {
+            document.getElementById('text-depth-value').textContent = textControls[2].value;
+        });
+
+        // Import a 3D model (or image), from the file picker or dropped anywhere on the scene
+        const modelInput = document.getElementById('model-file-input');
+        document.getElementById('import-model-btn').addEventListener('click', () => modelInput.click());
+        modelInput.addEventListener('change', () => {
+            if (modelInput.files[0]) this.importFile(modelInput.files[0]);
+            modelInput.value = '';
+        });
+
+        // Image to particles, from an upload or the current webcam frame
+        const imageInput = document.getElementById('image-file-input');
+        document.getElementById('upload-image-btn').addEventListener('click', () => imageInput.click());
+        imageInput.addEventListener('change', () => {
+            if (imageInput.files[0]) this.importFile(imageInput.files[0]);
+            imageInput.value = '';
+        });
+        document.getElementById('snapshot-webcam-btn').addEventListener('click', () => this.snapshotWebcam());
+        document.getElementById('image-depth-toggle').addEventListener('change', () => {
+            if (this.currentImage && this.particleSystem.customTarget === this.imageTarget) {
+                this.setImage(this.currentImage);
+            }
+        });
+
+        const dropOverlay = document.getElementById('drop-overlay');
+        let dragDepth = 0;
+        window.addEventListener('dragenter', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            dragDepth++;
+            dropOverlay.classList.remove('hidden');
+        });
+        window.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) dropOverlay.classList.add('hidden');
+        });
+        window.addEventListener('dragover', (e) => e.preventDefault());
+        window.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dragDepth = 0;
+            dropOverlay.classList.add('hidden');
+            if (e.dataTransfer.files[0]) this.importFile(e.dataTransfer.files[0]);
+        });
+
+        // Set current year in footer
+        const yearSpan = document.getElementById('current-year');
+        if (yearSpan) yearSpan.textContent = new Date().getFullYear();
+
+        // Particle count slider. Reallocating rebuilds the geometry and reruns the pattern,
+        // so only the label follows the drag; the count applies on release
+        const countLabel = document.getElementById('particle-count-value');
+        document.getElementById('particle-count').addEventListener('input', (e) => {
+            countLabel.textContent = parseInt(e.target.value).toLocaleString();
+        });
+        document.getElementById('particle-count').addEventListener('change', (e) => {
+            const count = parseInt(e.target.value);
+            countLabel.textContent = count.toLocaleString();
+            this.particleSystem.updateParticleCount(count);
+        });
+
+        // Particle size slider
+        document.getElementById('particle-size').addEventListener('input', (e) => {
+            const size = parseFloat(e.target.value);
+            document.getElementById('particle-size-value').textContent = size;
+            this.particleSystem.setParticleSize(size);
+        });
+
+        // Particle sprite
+        const spriteSelect = document.getElementById('particle-sprite');
+        const spriteInput = document.getElementById('sprite-file-input');
+        for (const [name, label] of Object.entries(PARTICLE_SPRITES)) {
+            spriteSelect.add(new Option(label, name));
+        }
+        spriteSelect.addEventListener('change', () => {
+            // The user's choice overrides a preset still waiting on the stored image
+            this.pendingSprite = null;
+            if (spriteSelect.value === 'texture' && !this.particleSystem.spriteTexture) {
+                // Nothing to show yet; keep the current sprite until an image is picked
+                spriteSelect.value = this.particleSystem.sprite;
+                spriteInput.click();
+                return;
+            }
+            this.particleSystem.setSprite(spriteSelect.value);
+        });
+        document.getElementById('sprite-upload-btn').addEventListener('click', () => spriteInput.click());
+        spriteInput.addEventListener('change', async () => {
+            const file = spriteInput.files[0];
+            spriteInput.value = '';
+            if (file) await this.loadSpriteImage(file);
+        });
+        this.restoreSpriteTexture();
+
+        const attenuationToggle = document.getElementById('size-attenuation-toggle');
+        attenuationToggle.addEventListener('change', () => {
+            this.particleSystem.setSizeAttenuation(attenuationToggle.checked);
+        });
+
+        // Physics mode toggle
+        const physicsToggle = document.getElementById('physics-toggle');
+        const countSlider = document.getElementById('particle-count');
+        physicsToggle.addEventListener('change', () => {
+            const enabled = this.particleSystem.setPhysicsEnabled(physicsToggle.checked);
+            if (!enabled) {
+                physicsToggle.checked = false;
+                physicsToggle.disabled = true;
+                return;
+            }
+
+            countSlider.max = physicsToggle.checked ? CONFIG.maxPhysicsParticleCount : CONFIG.maxParticleCount;
+            if (parseInt(countSlider.value) > parseInt(countSlider.max)) {
+                countSlider.value = countSlider.max;
+                countSlider.dispatchEvent(new Event('change'));
+            }
+        });
+
+        // Fingertip force fields toggle
+        const fingertipToggle = document.getElementById('fingertip-toggle');
+        fingertipToggle.checked = CONFIG.fingertipForces;
+        fingertipToggle.addEventListener('change', () => {
+            CONFIG.fingertipForces = fingertipToggle.checked;
+        });
+
+        // Panel toggle (desktop)
+        document.getElementById('toggle-panel').addEventListener('click', () => {
+            document.getElementById('control-panel').classList.toggle('collapsed');
+        });
+
+        // Mobile panel toggle
+        const mobileToggle = document.getElementById('mobile-panel-toggle');
+        const controlPanel = document.getElementById('control-panel');
+
+        if (mobileToggle) {
+            mobileToggle.addEventListener('click', () => {
+                controlPanel.classList.toggle('mobile-open');
+            });
+
+            // Close panel when clicking outside on mobile
+            document.addEventListener('click', (e) => {
+                if (window.innerWidth <= 576) {
+                    if (!controlPanel.contains(e.target) &&
+                        !mobileToggle.contains(e.target) &&
+                        controlPanel.classList.contains('mobile-open')) {
+                        controlPanel.classList.remove('mobile-open');
+                    }
+                }
+            });
+
+            // Swipe down to close panel on mobile
+            let touchStartY = 0;
+            controlPanel.addEventListener('touchstart', (e) => {
+                touchStartY = e.touches[0].clientY;
+            }, { passive: true });
+
+            controlPanel.addEventListener('touchend', (e) => {
+                const touchEndY = e.changedTouches[0].clientY;
+                const diff = touchEndY - touchStartY;
+
+                if (diff > 50 && window.innerWidth <= 576) {
+                    controlPanel.classList.remove('mobile-open');
+                }
+            }, { passive: true });
+        }
+
+        // Help button - show instructions
+        const helpBtn = document.getElementById('help-btn');
+        if (helpBtn) {
+            helpBtn.addEventListener('click', () => {
+                document.getElementById('instructions').classList.remove('hidden');
+            });
+        }
+
+        // Handle orientation change
+        window.addEventListener('orientationchange', () => {
+            setTimeout(() => {
+                this.camera.aspect = window.innerWidth / window.innerHeight;
+                this.camera.updateProjectionMatrix();
+                this.renderer.setSize(window.innerWidth, window.innerHeight);
+            }, 100);
+        });
+
+        // Fullscreen
+        const fsBtn = document.getElementById('fullscreen-btn');
+        fsBtn.addEventListener('click', () => {
+            const doc = document.documentElement;
+            if (!document.fullscreenElement && !document.webkitFullscreenElement) {
+                // Request Fullscreen (with mobile fallbacks)
+                if (doc.requestFullscreen) {
+                    doc.requestFullscreen();
+                } else if (doc.webkitRequestFullscreen) {
+                    doc.webkitRequestFullscreen();
+                } else if (doc.msRequestFullscreen) {
+                    doc.msRequestFullscreen();
+                }
+
+                document.getElementById('fullscreen-icon').style.display = 'none';
+                document.getElementById('exit-fullscreen-icon').style.display = 'block';
+            } else {
+                // Exit Fullscreen
+                if (document.exitFullscreen) {
+                    document.exitFullscreen();
+                } else if (document.webkitExitFullscreen) {
+                    document.webkitExitFullscreen();
+                } else if (document.msExitFullscreen) {
+                    document.msExitFullscreen();
+                }
+
+                document.getElementById('fullscreen-icon').style.display = 'block';
+                document.getElementById('exit-fullscreen-icon').style.display = 'none';
+            }
+        });
+
+        // Update UI when fullscreen state changes (especially for mobile gesture exits)
+        const onFullscreenChange = () => {
+            const isFs = !!(document.fullscreenElement || document.webkitFullscreenElement);
+            document.getElementById('fullscreen-icon').style.display = isFs ? 'none' : 'block';
+            document.getElementById('exit-fullscreen-icon').style.display = isFs ? 'block' : 'none';
+        };
+
+        document.addEventListener('fullscreenchange', onFullscreenChange);
+        document.addEventListener('webkitfullscreenchange', onFullscreenChange);
+
+        // Instructions close
+        document.getElementById('close-instructions').addEventListener('click', () => {
+            document.getElementById('instructions').classList.add('hidden');
+        });
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            // Don't hijack typing in the text box and other fields
+            if (e.target.matches('input, textarea, select')) return;
+
+            if (e.key === 'f' || e.key === 'F') {
+                document.getElementById('fullscreen-btn').click();
+            }
+            if ((e.key === 'p' || e.key === 'P') && !physicsToggle.disabled) {
+                physicsToggle.click();
+            }
+            if (e.key === 'Escape' && document.getElementById('instructions').classList.contains('hidden') === false) {
+                document.getElementById('instructions').classList.add('hidden');
+            }
+
+            // Number keys 1-9, 0 for the first ten patterns
+            const keyIndex = '1234567890'.indexOf(e.key);
+            if (keyIndex !== -1 && PATTERN_LIST[keyIndex]) {
+                this.selectPattern(PATTERN_LIST[keyIndex]);
+            }
+        });
+
+        // Swipes: horizontal ones go through the gesture bindings, vertical ones cycle colors
+        setInterval(() => {
+            const swipe = this.gestureDetector.consumeSwipe();
+            if (!swipe) return;
+
+            if (swipe === 'up' || swipe === 'down') {
+                this.cycleColorPreset(swipe === 'up' ? 1 : -1);
+                return;
+            }
+
+            // Swipe bindings decide whether this changes pattern or steps a parameter
+            const step = this.gestureMapper.swipe(swipe, this.gestureDetector.swipeSpeed);
+            if (step !== 0) {
+                const activeIndex = PATTERN_LIST.indexOf(this.particleSystem.currentPattern);
+                const newIndex = (activeIndex + step + PATTERN_LIST.length) % PATTERN_LIST.length;
+                this.selectPattern(PATTERN_LIST[newIndex]);
+            }
+        }, 16); // Run at ~60fps for instant response
+    }
+
+    async loadSpriteImage(file) {
+        try {
+            const bitmap = await createImageBitmap(file);
+            const { texture, dataUrl } = createSpriteTexture(bitmap);
+            bitmap.close();
+            this.pendingSprite = null;
+            this.particleSystem.setSprite('texture', texture);
+            document.getElementById('particle-sprite').value = 'texture';
+            writeStorage(SPRITE_TEXTURE_STORAGE_KEY, dataUrl);
+            this.showStatus('Custom sprite applied');
+        } catch (error) {
+            console.error('Sprite image failed to load:', error);
+            this.showStatus('Could not read that image', true);
+        }
+    }
+
+    // The last uploaded sprite image is kept so presets using it still work after a reload
+    restoreSpriteTexture() {
+        const dataUrl = readStorage(SPRITE_TEXTURE_STORAGE_KEY, null);
+        if (typeof dataUrl !== 'string') return;
+
+        const image = new Image();
+        image.onload = () => {
+            // An image uploaded while this one was loading takes precedence
+            if (this.particleSystem.spriteTexture) return;
+            this.particleSystem.setSprite(this.pendingSprite || this.particleSystem.sprite, createSpriteTexture(image).texture);
+            this.pendingSprite = null;
+            document.getElementById('particle-sprite').value = this.particleSystem.sprite;
+        };
+        image.onerror = () => {
+            console.warn('Discarding unreadable stored sprite image');
+            localStorage.removeItem(SPRITE_TEXTURE_STORAGE_KEY);
+            if (this.pendingSprite) this.showStatus('Custom sprite image could not be restored', true);
+            this.pendingSprite = null;
+        };
+        image.src = dataUrl;
+    }
+
+    syncPaletteControls() {
+        const { mode, colors, stops, axis } = this.particleSystem.palette;
+        document.getElementById('palette-mode').value = mode;
+        document.getElementById('gradient-axis').value = axis;
+        document.getElementById('gradient-stops').value = stops;
+        document.getElementById('gradient-color-2').value = colors[0];
+        document.getElementById('gradient-color-3').value = colors[1];
+        document.getElementById('gradient-color-3').hidden = stops < 3;
+        document.getElementById('gradient-options').hidden = mode !== 'gradient';
+    }
+
+    cycleColorPreset(step) {
+        const presets = [...document.querySelectorAll('.color-preset')];
+        const activeIndex = presets.findIndex(preset => preset.classList.contains('active'));
+        // A custom color starts the cycle from the first preset
+        const next = activeIndex === -1
+            ? 0
+            : (activeIndex + step + presets.length) % presets.length;
+        presets[next].click();
+    }
+
+    setupTuning() {
+        const container = document.getElementById('advanced-controls');
+        const saved = readStorage(TUNING_STORAGE_KEY, {});
+
+        for (const { key, label, min, max, step } of TUNING_CONTROLS) {
+            CONFIG[key] = clampNumber(saved[key], min, max, CONFIG[key]);
+
+            const group = document.createElement('div');
+            group.className = 'tuning-control';
+            group.innerHTML = `
+                <label for="tuning-${key}">${label}</label>
+                <div class="slider-container">
+                    <input type="range" id="tuning-${key}" min="${min}" max="${max}" step="${step}">
+                    <span id="tuning-${key}-value"></span>
+                </div>
+            `;
+            container.appendChild(group);
+
+            group.querySelector('input').addEventListener('input', (e) => {
+                CONFIG[key] = parseFloat(e.target.value);
+                document.getElementById(`tuning-${key}-value`).textContent = e.target.value;
+                this.saveTuning();
+            });
+        }
+
+        document.getElementById('reset-tuning-btn').addEventListener('click', () => {
+            Object.assign(CONFIG, TUNING_DEFAULTS);
+            this.syncTuningControls();
+            this.saveTuning();
+        });
+
+        this.syncTuningControls();
+    }
+
+    syncTuningControls() {
+        for (const { key } of TUNING_CONTROLS) {
+            document.getElementById(`tuning-${key}`).value = CONFIG[key];
+            document.getElementById(`tuning-${key}-value`).textContent = CONFIG[key];
+        }
+    }
+
+    saveTuning() {
+        writeStorage(TUNING_STORAGE_KEY, Object.fromEntries(TUNING_CONTROLS.map(({ key }) => [key, CONFIG[key]])));
+    }
+
+    setupEffects() {
+        const container = document.getElementById('effects-controls');
+
+        for (const { key, label, min, max, step } of EFFECT_CONTROLS) {
+            const group = document.createElement('div');
+            group.className = 'effect-control';
+            group.innerHTML = `
+                <label class="toggle-row" for="effect-${key}">
+                    <span>${label}</span>
+                    <input type="checkbox" id="effect-${key}">
+                    <span class="toggle-switch"></span>
+                </label>
+                <div class="slider-container">
+                    <input type="range" id="effect-${key}-intensity" min="${min}" max="${max}" step="${step}"
+                        aria-label="${label} intensity">
+                    <span id="effect-${key}-value"></span>
+                </div>
+            `;
+            container.appendChild(group);
+
+            document.getElementById(`effect-${key}`).addEventListener('change', (e) => {
+                this.effects[key].enabled = e.target.checked;
+                this.applyEffects();
+            });
+            document.getElementById(`effect-${key}-intensity`).addEventListener('input', (e) => {
+                this.effects[key].intensity = parseFloat(e.target.value);
+                document.getElementById(`effect-${key}-value`).textContent = e.target.value;
+                this.applyEffects();
+            });
+        }
+
+        document.getElementById('effects-toggle').addEventListener('change', (e) => {
+            this.effects.enabled = e.target.checked;
+            if (this.effects.enabled) {
+                // Watch the new setting, unless the watchdog already turned it off once and
+                // the user wants it back anyway
+                const watchdog = this.effectsWatchdog;
+                watchdog.armed = !watchdog.fired;
+                watchdog.slowTime = 0;
+            }
+            this.applyEffects();
+        });
+
+        this.syncEffectControls();
+    }
+
+    applyEffects() {
+        this.postProcessing.configure(this.effects);
+        this.syncEffectControls();
+        writeStorage(EFFECTS_STORAGE_KEY, this.effects);
+    }
+
+    syncEffectControls() {
+        document.getElementById('effects-toggle').checked = this.effects.enabled;
+        for (const { key } of EFFECT_CONTROLS) {
+            const { enabled, intensity } = this.effects[key];
+            document.getElementById(`effect-${key}`).checked = enabled;
+            document.getElementById(`effect-${key}`).disabled = !this.effects.enabled;
+            document.getElementById(`effect-${key}-intensity`).value = intensity;
+            document.getElementById(`effect-${key}-intensity`).disabled = !this.effects.enabled || !enabled;
+            document.getElementById(`effect-${key}-value`).textContent = intensity;
+        }
+    }
+
+    setupBindings() {
+        document.getElementById('add-binding-btn').addEventListener('click', () => {
+            const bindings = this.gestureMapper.bindings;
+            if (bindings.length >= MAX_BINDINGS) return;
+            bindings.push({ signal: 'wristX', param: 'hue', min: 0, max: GESTURE_PARAMS.hue.max, curve: 'linear', invert: false });
+            this.setBindings(bindings);
+        });
+        document.getElementById('reset-bindings-btn').addEventListener('click', () => {
+            this.setBindings(DEFAULT_BINDINGS);
+        });
+
+        this.renderBindings();
+    }
+
+    setBindings(bindings) {
+        this.gestureMapper.setBindings(bindings);
+        this.saveBindings();
+        this.renderBindings();
+    }
+
+    saveBindings() {
+        writeStorage(BINDINGS_STORAGE_KEY, this.gestureMapper.bindings);
+    }
+
+    renderBindings() {
+        const list = document.getElementById('binding-list');
+        list.innerHTML = '';
+
+        const makeSelect = (options, value, label) => {
+            const select = document.createElement('select');
+            select.className = 'panel-select';
+            select.setAttribute('aria-label', label);
+            for (const [key, option] of Object.entries(options)) select.add(new Option(option.label, key));
+            select.value = value;
+            return select;
+        };
+
+        const makeNumber = (value, param, label) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'binding-number';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = 'any';
+            input.value = Math.round(value * 100) / 100;
+            input.title = label;
+            input.setAttribute('aria-label', label);
+            return input;
+        };
+
+        this.gestureMapper.bindings.forEach((binding, i) => {
+            const param = GESTURE_PARAMS[binding.param];
+
+            const signal = makeSelect(GESTURE_SIGNALS, binding.signal, 'Gesture signal');
+            const target = makeSelect(GESTURE_PARAMS, binding.param, 'Parameter');
+            const min = makeNumber(binding.min, param, 'Output at signal minimum');
+            const max = makeNumber(binding.max, param, 'Output at signal maximum');
+            const curve = makeSelect(GESTURE_CURVES, binding.curve, 'Response curve');
+
+            const invertLabel = document.createElement('label');
+            invertLabel.className = 'binding-invert';
+            const invert = document.createElement('input');
+            invert.type = 'checkbox';
+            invert.checked = binding.invert;
+            invertLabel.append(invert, 'Invert');
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'icon-btn';
+            deleteBtn.textContent = '🗑';
+            deleteBtn.title = 'Remove mapping';
+            deleteBtn.setAttribute('aria-label', 'Remove mapping');
+
+            const arrow = document.createElement('span');
+            arrow.className = 'slider-label';
+            arrow.textContent = '→';
+
+            const header = document.createElement('div');
+            header.className = 'select-row';
+            header.append(signal, arrow, target, deleteBtn);
+            const options = document.createElement('div');
+            options.className = 'select-row';
+            options.append(min, max, curve, invertLabel);
+
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            row.append(header, options);
+            list.appendChild(row);
+
+            // Goes through sanitizeBindings so ranges stay within the param's limits
+            const update = (changes, rerender = false) => {
+                const bindings = this.gestureMapper.bindings.slice();
+                bindings[i] = { ...this.gestureMapper.bindings[i], ...changes };
+                this.gestureMapper.setBindings(sanitizeBindings(bindings));
+                this.saveBindings();
+                if (rerender) this.renderBindings();
+            };
+
+            signal.addEventListener('change', () => update({ signal: signal.value }));
+            target.addEventListener('change', () => {
+                // A new param starts from its own full range
+                const next = GESTURE_PARAMS[target.value];
+                update({ param: target.value, min: next.min, max: next.max }, true);
+            });
+            min.addEventListener('change', () => update({ min: min.value }, true));
+            max.addEventListener('change', () => update({ max: max.value }, true));
+            curve.addEventListener('change', () => update({ curve: curve.value }));
+            invert.addEventListener('change', () => update({ invert: invert.checked }));
+            deleteBtn.addEventListener('click', () => {
+                this.setBindings(this.gestureMapper.bindings.filter((_, j) => j !== i));
+            });
+        });
+    }
+
+    setupGestureRecording() {
+        const recordBtn = document.getElementById('record-gestures-btn');
+        const replayBtn = document.getElementById('replay-gestures-btn');
+        const fileInput = document.getElementById('recording-file-input');
+
+        recordBtn.addEventListener('click', () => {
+            if (!this.gestureRecorder.recording) {
+                this.stopReplay();
+                this.gestureRecorder.start();
+                recordBtn.textContent = '■ Stop & save';
+                recordBtn.classList.add('recording');
+                return;
+            }
+
+            const recording = this.gestureRecorder.stop();
+            recordBtn.textContent = '● Record';
+            recordBtn.classList.remove('recording');
+            if (recording.frames.length === 0) {
+                this.showStatus('Nothing recorded - is the camera running?', true);
+                return;
+            }
+
+            const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+            downloadBlob(blob, `gestures-${recording.recordedAt.replace(/[:.]/g, '-')}.json`);
+            this.showStatus(`Saved ${recording.frames.length} frames (${(recording.duration / 1000).toFixed(1)}s)`);
+        });
+
+        replayBtn.addEventListener('click', () => {
+            if (this.gestureReplay) {
+                this.stopReplay();
+            } else {
+                fileInput.click();
+            }
+        });
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+    }
+
+    setupAudio() {
+        const fileInput = document.getElementById('audio-file-input');
+        const slider = document.getElementById('audio-reactivity');
+        this.audioMeters = Object.fromEntries(
+            ['bass', 'mid', 'treble', 'beat'].map(band => [band, document.getElementById(`audio-meter-${band}`)])
+        );
+
+        document.getElementById('audio-mic-btn').addEventListener('click', () => this.startAudio());
+        document.getElementById('audio-file-btn').addEventListener('click', () => fileInput.click());
+        document.getElementById('audio-stop-btn').addEventListener('click', () => this.stopAudio());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        slider.addEventListener('input', () => {
+            this.audioReactivity = parseFloat(slider.value);
+            document.getElementById('audio-reactivity-value').textContent = slider.value;
+        });
+    }
+
+    // file: an audio File, or nothing for the microphone
+    async startAudio(file = null) {
+        try {
+            if (file) {
+                await this.audioAnalyzer.startFile(file);
+            } else {
+                await this.audioAnalyzer.startMicrophone();
+            }
+            document.getElementById('audio-stop-btn').disabled = false;
+            this.showStatus(file ? `Reacting to ${file.name}` : 'Reacting to the microphone');
+        } catch (error) {
+            console.error('Error starting audio:', error);
+            this.audioAnalyzer.stop();
+            this.showStatus(`Couldn't start audio: ${error.message}`, true);
+        }
+    }
+
+    stopAudio() {
+        this.audioAnalyzer.stop();
+        document.getElementById('audio-stop-btn').disabled = true;
+        this.updateAudio(0);
+    }
+
+    // Levels scaled by the reactivity slider, and the panel's level meters
+    updateAudio(deltaTime) {
+        const levels = this.audioAnalyzer.update(deltaTime);
+        const audio = levels && Object.fromEntries(
+            Object.entries(levels).map(([band, value]) => [band, Math.min(1, value * this.audioReactivity)])
+        );
+
+        for (const [band, meter] of Object.entries(this.audioMeters)) {
+            meter.style.transform = `scaleY(${audio ? audio[band] : 0})`;
+        }
+        return audio;
+    }
+
+    setupCalibration() {
+        document.getElementById('calibrate-btn').addEventListener('click', () => this.startCalibration());
+        document.getElementById('calibration-cancel-btn').addEventListener('click', () => this.stopCalibration());
+        document.getElementById('reset-calibration-btn').addEventListener('click', () => {
+            this.setCalibration(sanitizeCalibration(null));
+            localStorage.removeItem(CALIBRATION_STORAGE_KEY);
+            this.showStatus('Calibration reset to defaults');
+        });
+    }
+
+    setCalibration(calibration) {
+        this.calibration = calibration;
+        this.gestureDetector.calibration = calibration;
+    }
+
+    startCalibration() {
+        if (this.inputSource !== 'camera' || !this.handTracker) {
+            this.showStatus('Calibration needs the camera', true);
+            return;
+        }
+        this.stopReplay();
+        this.calibrationRun = { step: 0, samples: {} };
+        this.showCalibrationStep();
+        document.getElementById('calibration-overlay').classList.remove('hidden');
+    }
+
+    stopCalibration() {
+        this.calibrationRun = null;
+        document.getElementById('calibration-overlay').classList.add('hidden');
+    }
+
+    showCalibrationStep() {
+        const run = this.calibrationRun;
+        const step = CALIBRATION_STEPS[run.step];
+        run.frames = [];
+        run.startAt = performance.now() + CALIBRATION_LEAD_IN_MS;
+
+        document.getElementById('calibration-icon').textContent = step.icon;
+        document.getElementById('calibration-title').textContent =
+            `${run.step + 1}/${CALIBRATION_STEPS.length} · ${step.title}`;
+        document.getElementById('calibration-hint').textContent = step.hint;
+        document.getElementById('calibration-progress-bar').style.width = '0%';
+    }
+
+    // Collects raw measures of the primary hand for the current step
+    sampleCalibration() {
+        const run = this.calibrationRun;
+        const hand = this.gestureDetector.primaryHand;
+        if (!hand || performance.now() < run.startAt) return;
+
+        const detector = this.gestureDetector;
+        run.frames.push({
+            extension: detector.measureExtension(hand.landmarks),
+            pinch: detector.measurePinch(hand.landmarks),
+            wrist: { x: hand.landmarks[0].x, y: hand.landmarks[0].y }
+        });
+        document.getElementById('calibration-progress-bar').style.width =
+            `${run.frames.length / CALIBRATION_FRAMES * 100}%`;
+        if (run.frames.length < CALIBRATION_FRAMES) return;
+
+        run.samples[CALIBRATION_STEPS[run.step].id] = run.frames;
+        run.step++;
+        if (run.step < CALIBRATION_STEPS.length) {
+            this.showCalibrationStep();
+            return;
+        }
+
+        try {
+            const calibration = computeCalibration(run.samples);
+            this.setCalibration(calibration);
+            writeStorage(CALIBRATION_STORAGE_KEY, calibration);
+            this.showStatus('Calibration saved');
+        } catch (error) {
+            this.showStatus(error.message, true);
+        }
+        this.stopCalibration();
+    }
+
+    setupCustomGestures() {
+        const nameInput = document.getElementById('custom-gesture-name');
+        const recordBtn = document.getElementById('record-custom-gesture-btn');
+
+        const startCapture = () => {
+            // Clicking again cancels, e.g. when no hand shows up
+            if (this.gestureCapture) {
+                this.gestureCapture = null;
+                recordBtn.classList.remove('recording');
+                return;
+            }
+
+            const name = nameInput.value.trim();
+            if (!name) {
+                nameInput.focus();
+                return;
+            }
+
+            // A short lead-in gives time to move the hand from the mouse into the pose
+            this.gestureCapture = { name, samples: [], startAt: performance.now() + 1500 };
+            recordBtn.classList.add('recording');
+            this.showStatus(`Show "${name}" to the camera and hold it…`);
+        };
+        recordBtn.addEventListener('click', startCapture);
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') startCapture();
+        });
+
+        // Patterns registered later should be bindable too
+        patternListeners.push(() => this.refreshCustomGestureList());
+        this.refreshCustomGestureList();
+    }
+
+    finishGestureCapture() {
+        const { name, samples } = this.gestureCapture;
+        this.gestureCapture = null;
+        document.getElementById('record-custom-gesture-btn').classList.remove('recording');
+
+        const gesture = this.gestureClassifier.addSamples(name, samples);
+        this.saveCustomGestures();
+        this.refreshCustomGestureList();
+        this.showStatus(`Recorded "${name}" (${gesture.samples.length} samples)`);
+    }
+
+    saveCustomGestures() {
+        writeStorage(CUSTOM_GESTURE_STORAGE_KEY, this.gestureClassifier.toJSON());
+    }
+
+    refreshCustomGestureList() {
+        const list = document.getElementById('custom-gesture-list');
+        list.innerHTML = '';
+
+        const colors = [...document.querySelectorAll('.color-preset')]
+            .map(preset => ({ value: preset.dataset.color, label: preset.title }));
+
+        for (const gesture of this.gestureClassifier.gestures) {
+            const row = document.createElement('div');
+            row.className = 'custom-gesture-row';
+
+            const label = document.createElement('span');
+            label.className = 'custom-gesture-name';
+            label.textContent = gesture.name;
+            label.title = `${gesture.samples.length} samples`;
+
+            const select = document.createElement('select');
+            select.className = 'panel-select';
+            select.setAttribute('aria-label', `Action for ${gesture.name}`);
+            select.add(new Option('No action', ''));
+
+            const patternGroup = document.createElement('optgroup');
+            patternGroup.label = 'Switch pattern';
+            for (const name of PATTERN_LIST) {
+                const info = PATTERN_INFO[name];
+                patternGroup.appendChild(new Option(`${info.icon} ${info.label}`, `pattern:${name}`));
+            }
+            const colorGroup = document.createElement('optgroup');
+            colorGroup.label = 'Set color';
+            for (const { value, label } of colors) {
+                colorGroup.appendChild(new Option(label, `color:${value}`));
+            }
+            select.append(patternGroup, colorGroup);
+            select.value = gesture.action;
+            select.addEventListener('change', () => {
+                gesture.action = select.value;
+                this.saveCustomGestures();
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'icon-btn';
+            deleteBtn.textContent = '🗑';
+            deleteBtn.title = `Delete ${gesture.name}`;
+            deleteBtn.setAttribute('aria-label', deleteBtn.title);
+            deleteBtn.addEventListener('click', () => {
+                this.gestureClassifier.remove(gesture.name);
+                this.saveCustomGestures();
+                this.refreshCustomGestureList();
+            });
+
+            row.append(label, select, deleteBtn);
+            list.appendChild(row);
+        }
+    }
+
+    startReplay(recording) {
+        // Validates the frames, so a bad file throws before the current replay is touched
+        const replay = new GestureReplay(recording, (results, timestamp) => {
+            this.drawHandPreview(results);
+            this.processGestures(results, timestamp);
+        }, {
+            loop: document.getElementById('loop-replay-toggle').checked,
+            onEnd: () => this.stopReplay()
+        });
+        this.stopReplay();
+        // Start from a fresh detector so every replay of a file produces the same states
+        this.gestureDetector = new GestureDetector(this.calibration);
+        this.gestureReplay = replay;
+        this.gestureReplay.start();
+        document.getElementById('replay-gestures-btn').textContent = '■ Stop replay';
+    }
+
+    stopReplay() {
+        if (!this.gestureReplay) return;
+        this.gestureReplay.stop();
+        this.gestureReplay = null;
+        document.getElementById('replay-gestures-btn').textContent = '▶ Replay file';
 
-        const applyCustomText = () => {
-            const text = textInput.value.trim();
-            if (text) {
-                this.particleSystem.setTextPattern(text);
-                // Highlight button
-                applyBtn.style.transform = 'scale(1.2)';
-                setTimeout(() => applyBtn.style.transform = 'scale(1)', 200);
+        // Let go of the last replayed pose
+        this.processGestures({ multiHandLandmarks: [] });
+    }
+
+    setupPresets() {
+        const select = document.getElementById('preset-select');
+        const nameInput = document.getElementById('preset-name-input');
+        const fileInput = document.getElementById('preset-file-input');
+
+        this.refreshPresetList();
+
+        select.addEventListener('change', () => {
+            const preset = readStorage(PRESET_STORAGE_KEY, {})[select.value];
+            if (!preset) return;
+            this.applyPreset(sanitizePreset(preset));
+            nameInput.value = select.value;
+        });
+
+        const savePreset = () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                this.showStatus('Give the preset a name first', true);
+                return;
             }
+            const presets = readStorage(PRESET_STORAGE_KEY, {});
+            presets[name] = this.getPreset();
+            writeStorage(PRESET_STORAGE_KEY, presets);
+            this.refreshPresetList(name);
+            this.showStatus(`Saved preset "${name}"`);
         };
-
-        applyBtn.addEventListener('click', applyCustomText);
-        textInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') applyCustomText();
+        document.getElementById('save-preset-btn').addEventListener('click', savePreset);
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') savePreset();
         });
 
-        // Set current year in footer
-        const yearSpan = document.getElementById('current-year');
-        if (yearSpan) yearSpan.textContent = new Date().getFullYear();
+        document.getElementById('delete-preset-btn').addEventListener('click', () => {
+            if (!select.value) return;
+            const presets = readStorage(PRESET_STORAGE_KEY, {});
+            delete presets[select.value];
+            writeStorage(PRESET_STORAGE_KEY, presets);
+            this.showStatus(`Deleted preset "${select.value}"`);
+            this.refreshPresetList();
+        });
 
-        // Particle count slider
-        document.getElementById('particle-count').addEventListener('input', (e) => {
-            const count = parseInt(e.target.value);
-            document.getElementById('particle-count-value').textContent = count.toLocaleString();
-            this.particleSystem.updateParticleCount(count);
+        document.getElementById('export-preset-btn').addEventListener('click', () => {
+            const name = nameInput.value.trim() || 'magic-fingers-preset';
+            const blob = new Blob([JSON.stringify(this.getPreset(), null, 2)], { type: 'application/json' });
+            downloadBlob(blob, `${name}.json`);
         });
 
-        // Particle size slider
-        document.getElementById('particle-size').addEventListener('input', (e) => {
-            const size = parseFloat(e.target.value);
-            document.getElementById('particle-size-value').textContent = size;
-            this.particleSystem.setParticleSize(size);
+        document.getElementById('import-preset-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importFile(fileInput.files[0]);
+            fileInput.value = '';
         });
 
-        // Panel toggle (desktop)
-        document.getElementById('toggle-panel').addEventListener('click', () => {
-            document.getElementById('control-panel').classList.toggle('collapsed');
+        document.getElementById('share-preset-btn').addEventListener('click', async () => {
+            const url = `${location.origin}${location.pathname}${PRESET_HASH_PREFIX}${encodePreset(this.getPreset())}`;
+            history.replaceState(null, '', url);
+            try {
+                await navigator.clipboard.writeText(url);
+                this.showStatus('Share link copied to clipboard');
+            } catch (error) {
+                this.showStatus('Share link is in the address bar');
+            }
         });
 
-        // Mobile panel toggle
-        const mobileToggle = document.getElementById('mobile-panel-toggle');
-        const controlPanel = document.getElementById('control-panel');
+        // Remember the current state across reloads
+        const saveSession = () => writeStorage(SESSION_STORAGE_KEY, this.getPreset());
+        window.addEventListener('pagehide', saveSession);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') saveSession();
+        });
 
-        if (mobileToggle) {
-            mobileToggle.addEventListener('click', () => {
-                controlPanel.classList.toggle('mobile-open');
-            });
+        window.addEventListener('hashchange', () => this.applyPresetFromHash());
 
-            // Close panel when clicking outside on mobile
-            document.addEventListener('click', (e) => {
-                if (window.innerWidth <= 576) {
-                    if (!controlPanel.contains(e.target) &&
-                        !mobileToggle.contains(e.target) &&
-                        controlPanel.classList.contains('mobile-open')) {
-                        controlPanel.classList.remove('mobile-open');
-                    }
+        // A shared link wins over the last session
+        if (!this.applyPresetFromHash()) {
+            const session = readStorage(SESSION_STORAGE_KEY, null);
+            if (session) {
+                try {
+                    this.applyPreset(sanitizePreset(session));
+                } catch (error) {
+                    console.warn('Ignoring invalid saved session:', error);
                 }
-            });
+            }
+        }
+    }
 
-            // Swipe down to close panel on mobile
-            let touchStartY = 0;
-            controlPanel.addEventListener('touchstart', (e) => {
-                touchStartY = e.touches[0].clientY;
-            }, { passive: true });
+    refreshPresetList(selected = '') {
+        const select = document.getElementById('preset-select');
+        select.innerHTML = '<option value="">Saved presets…</option>';
+        for (const name of Object.keys(readStorage(PRESET_STORAGE_KEY, {})).sort()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+        select.value = selected;
+    }
 
-            controlPanel.addEventListener('touchend', (e) => {
-                const touchEndY = e.changedTouches[0].clientY;
-                const diff = touchEndY - touchStartY;
+    applyPresetFromHash() {
+        if (!location.hash.startsWith(PRESET_HASH_PREFIX)) return false;
+        try {
+            this.applyPreset(decodePreset(location.hash.slice(PRESET_HASH_PREFIX.length)));
+            return true;
+        } catch (error) {
+            console.error('Invalid preset link:', error);
+            this.showStatus('This preset link is invalid', true);
+            return false;
+        }
+    }
 
-                if (diff > 50 && window.innerWidth <= 576) {
-                    controlPanel.classList.remove('mobile-open');
-                }
-            }, { passive: true });
+    getPreset() {
+        const ps = this.particleSystem;
+        const preset = {
+            version: PRESET_VERSION,
+            pattern: ps.currentPattern,
+            color: document.getElementById('color-picker').value,
+            particleSize: CONFIG.particleSize,
+            particleCount: ps.count,
+            morphSpeed: CONFIG.morphSpeed,
+            rotationSpeed: CONFIG.rotationSpeed,
+            dispersionMultiplier: CONFIG.dispersionMultiplier,
+            palette: ps.palette,
+            sprite: ps.sprite,
+            sizeAttenuation: ps.sizeAttenuation,
+            effects: this.effects,
+            bindings: this.gestureMapper.bindings
+        };
+        if (ps.currentText) {
+            preset.text = ps.currentText;
+            preset.textOptions = { ...TEXT_DEFAULTS, ...ps.currentTextOptions };
         }
+        return preset;
+    }
 
-        // Help button - show instructions
-        const helpBtn = document.getElementById('help-btn');
-        if (helpBtn) {
-            helpBtn.addEventListener('click', () => {
-                document.getElementById('instructions').classList.remove('hidden');
+    applyPreset(preset) {
+        // Drive the existing controls so labels, highlights and handlers stay in sync
+        const setControl = (id, value, event = 'input') => {
+            const control = document.getElementById(id);
+            control.value = value;
+            control.dispatchEvent(new Event(event));
+        };
+
+        for (const { key } of TUNING_CONTROLS) {
+            if (preset[key] !== undefined) CONFIG[key] = preset[key];
+        }
+        this.syncTuningControls();
+        this.saveTuning();
+
+        if (preset.bindings) this.setBindings(preset.bindings);
+        if (preset.effects) {
+            this.effects = preset.effects;
+            this.applyEffects();
+        }
+
+        if (preset.particleCount !== undefined) {
+            const countSlider = document.getElementById('particle-count');
+            if (preset.particleCount > parseInt(countSlider.max)) {
+                // Counts above the normal maximum need physics mode
+                const physicsToggle = document.getElementById('physics-toggle');
+                if (!physicsToggle.checked && !physicsToggle.disabled) physicsToggle.click();
+            }
+            setControl('particle-count', Math.min(preset.particleCount, parseInt(countSlider.max)), 'change');
+        }
+        if (preset.particleSize !== undefined) setControl('particle-size', preset.particleSize);
+        if (preset.sprite) {
+            this.particleSystem.setSprite(preset.sprite);
+            // A custom image may still be loading from storage
+            this.pendingSprite = preset.sprite === 'texture' && !this.particleSystem.spriteTexture ? 'texture' : null;
+            document.getElementById('particle-sprite').value = this.particleSystem.sprite;
+        }
+        if (preset.sizeAttenuation !== undefined) {
+            document.getElementById('size-attenuation-toggle').checked = preset.sizeAttenuation;
+            this.particleSystem.setSizeAttenuation(preset.sizeAttenuation);
+        }
+
+        if (preset.palette) {
+            this.particleSystem.setPalette(preset.palette);
+            this.syncPaletteControls();
+        }
+        if (preset.color) {
+            setControl('color-picker', preset.color);
+            document.querySelectorAll('.color-preset').forEach(p => {
+                p.classList.toggle('active', p.dataset.color.toLowerCase() === preset.color.toLowerCase());
             });
         }
 
-        // Handle orientation change
-        window.addEventListener('orientationchange', () => {
-            setTimeout(() => {
-                this.camera.aspect = window.innerWidth / window.innerHeight;
-                this.camera.updateProjectionMatrix();
-                this.renderer.setSize(window.innerWidth, window.innerHeight);
-            }, 100);
-        });
+        if (preset.text) {
+            const options = { ...preset.textOptions };
+            document.getElementById('custom-text-input').value = preset.text;
+            // Shared links may name a font or weight this page has no option for
+            const familySelect = document.getElementById('text-font-family');
+            familySelect.value = options.fontFamily;
+            if (familySelect.selectedIndex === -1) familySelect.value = options.fontFamily = TEXT_DEFAULTS.fontFamily;
+            const weightSelect = document.getElementById('text-font-weight');
+            weightSelect.value = options.fontWeight;
+            if (weightSelect.selectedIndex === -1) weightSelect.value = options.fontWeight = TEXT_DEFAULTS.fontWeight;
+            document.getElementById('text-depth').value = options.depth;
+            document.getElementById('text-depth-value').textContent = options.depth;
+            this.particleSystem.setTextPattern(preset.text, options);
+            this.highlightPattern(null);
+        } else if (preset.pattern) {
+            this.selectPattern(preset.pattern);
+        }
+    }
 
-        // Fullscreen
-        const fsBtn = document.getElementById('fullscreen-btn');
-        fsBtn.addEventListener('click', () => {
-            const doc = document.documentElement;
-            if (!document.fullscreenElement && !document.webkitFullscreenElement) {
-                // Request Fullscreen (with mobile fallbacks)
-                if (doc.requestFullscreen) {
-                    doc.requestFullscreen();
-                } else if (doc.webkitRequestFullscreen) {
-                    doc.webkitRequestFullscreen();
-                } else if (doc.msRequestFullscreen) {
-                    doc.msRequestFullscreen();
-                }
+    async importFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
 
-                document.getElementById('fullscreen-icon').style.display = 'none';
-                document.getElementById('exit-fullscreen-icon').style.display = 'block';
-            } else {
-                // Exit Fullscreen
-                if (document.exitFullscreen) {
-                    document.exitFullscreen();
-                } else if (document.webkitExitFullscreen) {
-                    document.webkitExitFullscreen();
-                } else if (document.msExitFullscreen) {
-                    document.msExitFullscreen();
+        try {
+            if (extension === 'json') {
+                // Gesture recordings and presets are both JSON; recordings carry frames
+                const data = JSON.parse(await file.text());
+                if (Array.isArray(data?.frames)) {
+                    this.startReplay(data);
+                    this.showStatus(`Replaying ${file.name}`);
+                } else {
+                    this.applyPreset(sanitizePreset(data));
+                    this.showStatus(`Loaded preset ${file.name}`);
                 }
+                return;
+            }
+            if (IMAGE_EXTENSIONS.includes(extension)) {
+                const bitmap = await createImageBitmap(file);
+                this.setImage(prepareImage(bitmap));
+                bitmap.close();
+            } else if (MODEL_EXTENSIONS.includes(extension)) {
+                const model = prepareModel(await loadModelFile(file));
+                this.particleSystem.setModelPattern(model);
+                this.highlightPattern(null);
+            } else if (AUDIO_EXTENSIONS.includes(extension)) {
+                // startAudio reports its own status
+                await this.startAudio(file);
+                return;
+            } else {
+                throw new Error(`Unsupported file type ".${extension}"`);
+            }
+            this.showStatus(`Loaded ${file.name}`);
+        } catch (error) {
+            console.error('Error importing file:', error);
+            this.showStatus(`Couldn't load ${file.name}: ${error.message}`, true);
+        }
+    }
 
-                document.getElementById('fullscreen-icon').style.display = 'block';
-                document.getElementById('exit-fullscreen-icon').style.display = 'none';
+    setImage(image) {
+        const depth = document.getElementById('image-depth-toggle').checked;
+        this.particleSystem.setImagePattern(image, { depth });
+        this.highlightPattern(null);
+
+        // Remembered so the depth toggle can re-apply it while it's on screen
+        this.currentImage = image;
+        this.imageTarget = this.particleSystem.customTarget;
+    }
+
+    snapshotWebcam() {
+        const video = document.getElementById('webcam');
+        if (video.readyState < 2) {
+            this.showStatus('Webcam is not running', true);
+            return;
+        }
+        // Mirror to match the preview, so the snapshot looks like what the user sees
+        this.setImage(prepareImage(video, { mirror: true }));
+        this.showStatus('Webcam snapshot captured');
+    }
+
+    showStatus(message, isError = false) {
+        const toast = document.getElementById('status-toast');
+        toast.textContent = message;
+        toast.classList.toggle('error', isError);
+        toast.classList.remove('hidden');
+
+        clearTimeout(this.statusTimeout);
+        this.statusTimeout = setTimeout(() => toast.classList.add('hidden'), 3000);
+    }
+
+    buildPatternGrid() {
+        const grid = document.getElementById('pattern-grid');
+        grid.innerHTML = '';
+
+        const categories = [...new Set(PATTERN_LIST.map(name => PATTERN_INFO[name].category))];
+        for (const category of categories) {
+            const heading = document.createElement('div');
+            heading.className = 'pattern-category';
+            heading.textContent = category;
+            grid.appendChild(heading);
+
+            for (const name of PATTERN_LIST.filter(n => PATTERN_INFO[n].category === category)) {
+                const { label, icon } = PATTERN_INFO[name];
+                const btn = document.createElement('button');
+                btn.className = 'pattern-btn';
+                btn.dataset.pattern = name;
+                btn.title = label;
+
+                const iconEl = document.createElement('div');
+                iconEl.className = 'pattern-icon';
+                iconEl.textContent = icon;
+                const labelEl = document.createElement('span');
+                labelEl.textContent = label;
+                btn.append(iconEl, labelEl);
+
+                btn.addEventListener('click', () => this.selectPattern(name));
+                grid.appendChild(btn);
             }
+        }
+
+        document.querySelector('.pattern-count').textContent = `(${PATTERN_LIST.length})`;
+        this.highlightPattern(this.particleSystem.currentPattern);
+    }
+
+    highlightPattern(name) {
+        document.querySelectorAll('.pattern-btn').forEach(btn => {
+            btn.classList.toggle('active', !this.particleSystem.customTarget && btn.dataset.pattern === name);
         });
+    }
 
-        // Update UI when fullscreen state changes (especially for mobile gesture exits)
-        const onFullscreenChange = () => {
-            const isFs = !!(document.fullscreenElement || document.webkitFullscreenElement);
-            document.getElementById('fullscreen-icon').style.display = isFs ? 'none' : 'block';
-            document.getElementById('exit-fullscreen-icon').style.display = isFs ? 'block' : 'none';
-        };
+    selectPattern(name) {
+        this.particleSystem.setPattern(name);
+        this.highlightPattern(name);
+    }
 
-        document.addEventListener('fullscreenchange', onFullscreenChange);
-        document.addEventListener('webkitfullscreenchange', onFullscreenChange);
+    // Sizes the renderer to the window, or to the export resolution while one runs
+    resizeRenderer() {
+        const size = this.exportSize;
+        const width = size ? size[0] : window.innerWidth;
+        const height = size ? size[1] : window.innerHeight;
+
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        if (size) {
+            // Keep the on-screen canvas where it is; only the drawing buffer changes
+            this.renderer.setPixelRatio(1);
+            this.renderer.setSize(width, height, false);
+        } else {
+            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+            this.renderer.setSize(width, height);
+        }
+        this.postProcessing.setSize(width, height, this.renderer.getPixelRatio());
+        this.particleSystem.particles.material.uniforms.pixelRatio.value = Math.min(window.devicePixelRatio, 2);
+        this.particleSystem.particles.material.uniforms.outputScale.value = size ? this.outputScaleFor(height) : 1;
+    }
 
-        // Instructions close
-        document.getElementById('close-instructions').addEventListener('click', () => {
-            document.getElementById('instructions').classList.add('hidden');
+    // Points are sized in pixels, so they grow with the output to look the same as on screen
+    outputScaleFor(height) {
+        return height / (window.innerHeight * Math.min(window.devicePixelRatio, 2));
+    }
+
+    setupExport() {
+        const resolution = document.getElementById('export-resolution');
+        for (const [key, { label }] of Object.entries(EXPORT_RESOLUTIONS)) {
+            resolution.add(new Option(label, key));
+        }
+        const screenshotResolution = document.getElementById('screenshot-resolution');
+        for (const [key, { label }] of Object.entries(SCREENSHOT_RESOLUTIONS)) {
+            screenshotResolution.add(new Option(label, key));
+        }
+
+        const starsToggle = document.getElementById('screenshot-stars-toggle');
+        document.getElementById('screenshot-transparent-toggle').addEventListener('change', (e) => {
+            // Stars are part of the backdrop; a transparent still usually wants neither
+            starsToggle.checked = !e.target.checked;
         });
+        document.getElementById('screenshot-btn').addEventListener('click', () => this.takeScreenshot());
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'f' || e.key === 'F') {
-                document.getElementById('fullscreen-btn').click();
-            }
-            if (e.key === 'Escape' && document.getElementById('instructions').classList.contains('hidden') === false) {
-                document.getElementById('instructions').classList.add('hidden');
+        document.getElementById('export-video-btn').addEventListener('click', () => {
+            if (this.exportJob) {
+                this.exportJob.cancelled = true;
+            } else {
+                this.startExport();
             }
+        });
+    }
+
+    getExportSettings() {
+        const format = document.getElementById('export-format').value;
+        const fps = parseInt(document.getElementById('export-fps').value);
+        const size = EXPORT_RESOLUTIONS[document.getElementById('export-resolution').value].size;
+        return {
+            format,
+            // GIFs can't play faster than GIF_MAX_FPS; WebCodecs wants even dimensions
+            fps: format === 'gif' ? Math.min(fps, GIF_MAX_FPS) : fps,
+            duration: parseFloat(document.getElementById('export-duration').value),
+            size: size || [window.innerWidth & ~1, window.innerHeight & ~1],
+            // GIFs are always rendered offline since their frames are read back one by one
+            offline: format === 'gif' || document.getElementById('offline-render-toggle').checked
+        };
+    }
+
+    async startExport() {
+        const settings = this.getExportSettings();
+        const button = document.getElementById('export-video-btn');
+        this.exportJob = { cancelled: false };
+        this.exportSize = settings.size;
+        this.resizeRenderer();
+        button.textContent = '■ Stop';
+        button.classList.add('recording');
 
-            // Number keys for patterns
-            const patternKeys = ['1', '2', '3', '4', '5', '6'];
-            const patterns = ['sphere', 'cube', 'torus', 'spiral', 'heart', 'galaxy'];
-            const keyIndex = patternKeys.indexOf(e.key);
-            if (keyIndex !== -1) {
-                document.querySelectorAll('.pattern-btn').forEach((btn, i) => {
-                    btn.classList.toggle('active', i === keyIndex);
-                });
-                this.particleSystem.setPattern(patterns[keyIndex]);
+        try {
+            const blob = settings.offline
+                ? await this.renderOffline(settings)
+                : await this.recordLive(settings);
+            if (blob) {
+                downloadBlob(blob, exportFilename(settings.format));
+                this.showStatus(`Saved ${settings.format === 'gif' ? 'GIF' : 'video'} (${(blob.size / 1e6).toFixed(1)} MB)`);
             }
-        });
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showStatus(`Export failed: ${error.message}`, true);
+        } finally {
+            this.exportJob = null;
+            this.offlineExport = false;
+            this.particleSystem.clockOverride = null;
+            this.exportSize = null;
+            this.resizeRenderer();
+            this.clock.getDelta(); // Don't let the export's duration land in the next frame
+            button.textContent = '● Record';
+            button.classList.remove('recording');
+        }
+    }
 
-        // Swipe detection for pattern change
-        setInterval(() => {
-            const gesture = this.gestureDetector.getGestureState();
+    async takeScreenshot() {
+        if (this.exportJob) return;
+        const { size } = SCREENSHOT_RESOLUTIONS[document.getElementById('screenshot-resolution').value];
+        const [width, height] = size || [window.innerWidth * 2, window.innerHeight * 2];
+        const transparent = document.getElementById('screenshot-transparent-toggle').checked;
+        const showStars = document.getElementById('screenshot-stars-toggle').checked;
+        const button = document.getElementById('screenshot-btn');
+        const uniforms = this.particleSystem.particles.material.uniforms;
+        const starsVisible = this.stars.visible;
+        const starSize = this.stars.material.size;
+
+        this.exportJob = { cancelled: false };
+        this.offlineExport = true; // Freeze the scene so every tile shows the same frame
+        button.disabled = true;
+        this.showStatus(`Rendering ${width}×${height}…`);
+        try {
+            uniforms.outputScale.value = this.outputScaleFor(height);
+            this.stars.visible = showStars;
+            const canvas = await renderTiled(this.renderer, this.scene, this.camera, width, height, {
+                background: transparent ? null : this.scene.background,
+                // Largest particle radius, so sprites straddling a tile edge aren't clipped
+                padding: Math.ceil(this.particleSystem.getMaxPointSize() * uniforms.outputScale.value / 2) + 2,
+                // Stars use size attenuation, which follows the render target height
+                beforeTile: (tileHeight) => this.stars.material.size = starSize * height / tileHeight
+            });
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            if (!blob) throw new Error('the image is too large for this browser');
+            downloadBlob(blob, exportFilename('png'));
+            this.showStatus(`Saved ${width}×${height} PNG`);
+        } catch (error) {
+            console.error('Screenshot failed:', error);
+            this.showStatus(`Screenshot failed: ${error.message}`, true);
+        } finally {
+            uniforms.outputScale.value = 1;
+            this.stars.visible = starsVisible;
+            this.stars.material.size = starSize;
+            this.exportJob = null;
+            this.offlineExport = false;
+            this.clock.getDelta();
+            button.disabled = false;
+        }
+    }
 
-            if (gesture.swipe) {
-                const buttons = Array.from(document.querySelectorAll('.pattern-btn'));
-                const activeIndex = buttons.findIndex(b => b.classList.contains('active'));
-                let newIndex;
+    // Real time: MediaRecorder captures the canvas while the app keeps running normally
+    recordLive({ fps, duration }) {
+        const mimeType = RECORDER_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) throw new Error('This browser cannot record WebM video');
 
-                if (gesture.swipe === 'right') {
-                    newIndex = (activeIndex + 1) % buttons.length;
+        const [width, height] = this.exportSize;
+        const stream = this.renderer.domElement.captureStream(fps);
+        const recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: Math.round(width * height * fps * 0.1)
+        });
+        const chunks = [];
+        recorder.ondataavailable = (e) => chunks.push(e.data);
+
+        return new Promise((resolve, reject) => {
+            recorder.onerror = (e) => reject(e.error);
+            recorder.onstop = () => {
+                stream.getTracks().forEach(track => track.stop());
+                clearInterval(timer);
+                resolve(this.exportJob.cancelled && chunks.length === 0 ? null : new Blob(chunks, { type: 'video/webm' }));
+            };
+
+            const start = performance.now();
+            const timer = setInterval(() => {
+                const elapsed = (performance.now() - start) / 1000;
+                if (elapsed >= duration || this.exportJob.cancelled) {
+                    recorder.stop();
                 } else {
-                    newIndex = (activeIndex - 1 + buttons.length) % buttons.length;
+                    this.showStatus(`Recording… ${Math.ceil(duration - elapsed)}s`);
                 }
+            }, 250);
+            recorder.start(1000);
+        });
+    }
+
+    // Deterministic: scene time advances exactly 1/fps per frame however long rendering takes,
+    // so slow devices and big resolutions never drop frames. Hands keep reacting live.
+    async renderOffline({ format, fps, duration }) {
+        const [width, height] = this.exportSize;
+        const encoder = format === 'gif' ? new GifEncoder() : this.createOfflineVideoEncoder(fps);
+        try {
+            await encoder.init(width, height, fps);
 
-                buttons[newIndex].click(); // Reuse button click handler for consistency
+            this.offlineExport = true;
+            const frames = Math.round(duration * fps);
+            const startTime = this.particleSystem.now();
+
+            for (let i = 0; i < frames; i++) {
+                if (this.exportJob.cancelled) return null;
+
+                this.particleSystem.clockOverride = startTime + i / fps;
+                this.renderFrame(1 / fps);
+                // Read the canvas in the same task as the render, before the buffer is cleared
+                await encoder.addFrame(this.renderer.domElement);
+
+                if (i % 10 === 0) this.showStatus(`Rendering frame ${i + 1} of ${frames}…`);
+                // Yield so the page stays responsive and hand tracking keeps running
+                await new Promise(resolve => setTimeout(resolve, 0));
             }
-        }, 16); // Run at ~60fps for instant response
+            this.showStatus('Encoding…');
+            return await encoder.finish();
+        } finally {
+            // Releases the encoder, recorder or capture track if we stopped early
+            encoder.dispose();
+        }
+    }
+
+    // WebCodecs when available; otherwise MediaRecorder fed one frame at a time at the
+    // nominal rate, which stays exact as long as each frame renders within 1/fps
+    createOfflineVideoEncoder(fps) {
+        if (WebMEncoder.supported) return new WebMEncoder();
+
+        const mimeType = RECORDER_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) throw new Error('This browser cannot record WebM video');
+        const stream = this.renderer.domElement.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const chunks = [];
+        recorder.ondataavailable = (e) => chunks.push(e.data);
+
+        return {
+            init: () => recorder.start(),
+            addFrame: async () => {
+                track.requestFrame();
+                await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+            },
+            finish: () => new Promise((resolve) => {
+                recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+                recorder.stop();
+            }),
+            dispose: () => {
+                if (recorder.state !== 'inactive') {
+                    recorder.onstop = null;
+                    recorder.stop();
+                }
+                track.stop();
+            }
+        };
     }
 
     animate() {
         requestAnimationFrame(() => this.animate());
 
+        // An offline export drives frames itself
+        if (this.offlineExport) return;
         const deltaTime = this.clock.getDelta();
+        this.watchEffectsPerformance(deltaTime);
+        this.renderFrame(deltaTime);
+    }
+
+    // Turns effects off once if they keep the frame rate too low; switching them back on by hand sticks
+    watchEffectsPerformance(deltaTime) {
+        const watchdog = this.effectsWatchdog;
+        if (!watchdog.armed || !this.postProcessing.active || document.hidden) return;
+
+        // Long gaps are the tab being in the background, not slow rendering
+        if (deltaTime > 1 / EFFECTS_MIN_FPS && deltaTime < 0.5) {
+            watchdog.slowTime += deltaTime;
+        } else {
+            watchdog.slowTime = Math.max(0, watchdog.slowTime - deltaTime);
+        }
+
+        if (watchdog.slowTime > EFFECTS_WATCHDOG_SECONDS) {
+            watchdog.armed = false;
+            watchdog.fired = true;
+            this.effects.enabled = false;
+            // Remembered, so a slow device doesn't stutter again on every reload
+            this.applyEffects();
+            this.showStatus('Effects turned off to keep the animation smooth');
+        }
+    }
+
+    renderFrame(deltaTime) {
         const gesture = this.gestureDetector.getGestureState();
+        const audio = this.updateAudio(deltaTime);
 
         // Update particle system
-        this.particleSystem.update(gesture, deltaTime);
+        this.particleSystem.update(gesture, deltaTime, this.gestureMapper.evaluate(gesture, audio), audio);
 
         // Rotate background stars
         if (this.stars) {
@@ -1337,9 +5268,22 @@ class App {
         this.controls.update();
 
         // Render
-        this.renderer.render(this.scene, this.camera);
+        if (this.postProcessing.active) {
+            this.postProcessing.render(deltaTime);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
     }
 }
 
 // Initialize app
 const app = new App();
+
+// Offline support and installability; the worker is generated by the production build
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((error) => {
+            console.warn('Service worker registration failed:', error);
+        });
+    });
+}
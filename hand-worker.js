@@ -0,0 +1,61 @@
+import { FilesetResolver, HandLandmarker } from '@mediapipe/tasks-vision';
+
+// ============================================
+// HAND TRACKING WORKER
+// ============================================
+// Runs MediaPipe's HandLandmarker off the main thread so inference never stalls rendering.
+// The page posts camera frames as ImageBitmaps; results go back in the legacy Hands shape
+// ({ multiHandLandmarks, multiHandedness }) that GestureDetector and the recorder read.
+let landmarker = null;
+
+async function createLandmarker({ wasmBaseUrl, modelUrls, options }) {
+    const fileset = await FilesetResolver.forVisionTasks(wasmBaseUrl, true);
+    let lastError = null;
+
+    // GPU inference uses an OffscreenCanvas inside the worker; fall back to CPU where that's missing.
+    // Model URLs are tried in order (bundled copy first, hosted copy second).
+    for (const delegate of ['GPU', 'CPU']) {
+        for (const modelAssetPath of modelUrls) {
+            try {
+                landmarker = await HandLandmarker.createFromOptions(fileset, {
+                    baseOptions: { modelAssetPath, delegate },
+                    runningMode: 'VIDEO',
+                    ...options
+                });
+                return { delegate, modelAssetPath };
+            } catch (error) {
+                lastError = error;
+            }
+        }
+    }
+    throw lastError;
+}
+
+function detect(bitmap, timestamp) {
+    try {
+        const result = landmarker.detectForVideo(bitmap, timestamp);
+        return {
+            multiHandLandmarks: result.landmarks,
+            multiHandedness: result.handedness.map(([category], index) => ({
+                index,
+                label: category.categoryName,
+                score: category.score
+            }))
+        };
+    } finally {
+        bitmap.close();
+    }
+}
+
+self.onmessage = async ({ data }) => {
+    try {
+        if (data.type === 'init') {
+            const info = await createLandmarker(data);
+            self.postMessage({ type: 'ready', ...info });
+        } else if (data.type === 'frame') {
+            self.postMessage({ type: 'results', results: detect(data.bitmap, data.timestamp) });
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+};
@@ -0,0 +1,16 @@
+// Downloads the MediaPipe hand landmarker model into public/ so the build can serve it
+// and the service worker can cache it. Run once after `npm install`: `npm run fetch-model`.
+import { mkdir, writeFile } from 'node:fs/promises';
+
+const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+const TARGET = new URL('../public/models/hand_landmarker.task', import.meta.url);
+
+const response = await fetch(MODEL_URL);
+if (!response.ok) {
+    console.error(`Could not download ${MODEL_URL}: ${response.status} ${response.statusText}`);
+    process.exit(1);
+}
+
+await mkdir(new URL('.', TARGET), { recursive: true });
+await writeFile(TARGET, Buffer.from(await response.arrayBuffer()));
+console.log(`Saved hand landmarker model to ${TARGET.pathname}`);
@@ -0,0 +1,45 @@
+// Service worker template. The build (vite.config.js) fills in the precache list and
+// cache version and emits it as /sw.js; it isn't registered during development.
+const PRECACHE = self.__PRECACHE_MANIFEST;
+const CACHE_NAME = `magic-fingers-${self.__CACHE_VERSION}`;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from previous builds
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    // Pages go network-first so a new deploy shows up; everything else is cache-first
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(() => caches.match('./'))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request).then(response => {
+            // Runtime-cache anything else we load (e.g. web fonts) for the next offline visit
+            if (response.ok || response.type === 'opaque') {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});
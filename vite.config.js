@@ -0,0 +1,72 @@
+import { defineConfig } from 'vite';
+import { readFileSync, readdirSync, existsSync, statSync } from 'node:fs';
+import { resolve, extname, relative, sep } from 'node:path';
+
+// The MediaPipe Tasks wasm runtime is fetched by URL at runtime, so it can't go through the
+// bundler. It is served as-is under /mediapipe/wasm/. The worker loads it as an ES module,
+// which only ever needs the SIMD module build.
+const MEDIAPIPE_WASM_DIR = 'node_modules/@mediapipe/tasks-vision/wasm';
+const MEDIAPIPE_WASM_FILES = ['vision_wasm_module_internal.js', 'vision_wasm_module_internal.wasm'];
+
+const MIME_TYPES = {
+    '.js': 'text/javascript',
+    '.wasm': 'application/wasm'
+};
+
+function listPublicFiles(dir = resolve('public')) {
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir).flatMap((name) => {
+        const path = resolve(dir, name);
+        if (statSync(path).isDirectory()) return listPublicFiles(path);
+        return [relative(resolve('public'), path).split(sep).join('/')];
+    });
+}
+
+function mediapipeAssets() {
+    return {
+        name: 'mediapipe-assets',
+        enforce: 'post',
+
+        configureServer(server) {
+            server.middlewares.use((req, res, next) => {
+                const match = req.url.match(/^\/mediapipe\/wasm\/([\w.-]+)/);
+                if (!match || !MEDIAPIPE_WASM_FILES.includes(match[1])) return next();
+
+                const path = resolve(MEDIAPIPE_WASM_DIR, match[1]);
+                res.setHeader('Content-Type', MIME_TYPES[extname(path)] || 'application/octet-stream');
+                res.end(readFileSync(path));
+            });
+        },
+
+        generateBundle(options, bundle) {
+            const built = Object.keys(bundle);
+            const mediapipe = MEDIAPIPE_WASM_FILES.map(file => `mediapipe/wasm/${file}`);
+            for (const file of MEDIAPIPE_WASM_FILES) {
+                this.emitFile({
+                    type: 'asset',
+                    fileName: `mediapipe/wasm/${file}`,
+                    source: readFileSync(resolve(MEDIAPIPE_WASM_DIR, file))
+                });
+            }
+
+            if (!existsSync(resolve('public/models/hand_landmarker.task'))) {
+                this.warn('public/models/hand_landmarker.task is missing, hand tracking will need network. Run `npm run fetch-model`.');
+            }
+
+            // The service worker precaches the whole build, hashed file names included
+            const precache = ['./', ...listPublicFiles(), ...built, ...mediapipe];
+            const source = readFileSync(resolve('sw.js'), 'utf8')
+                .replace('self.__PRECACHE_MANIFEST', JSON.stringify(precache))
+                .replace('self.__CACHE_VERSION', JSON.stringify(Date.now().toString(36)));
+            this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+        }
+    };
+}
+
+export default defineConfig({
+    plugins: [mediapipeAssets()],
+    worker: {
+        // The hand tracking worker is a module worker (MediaPipe loads its runtime with import())
+        format: 'es'
+    }
+});